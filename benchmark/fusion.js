@@ -0,0 +1,60 @@
+import {Observable} from '../src/rxjs';
+import {routeErrors} from '../src/config';
+
+// compares chains of map and filter over Observable.fromArray:
+// lifted and fused, as the operators are now, against one Observable wrapping its source per operator,
+// as they were written before lift. Run with npm run benchmark, optionally followed by the array sizes
+
+const wrappingMap = (projection) => source => new Observable(observer => source.subscribe(
+  value => routeErrors(observer, () => observer.next(projection(value))),
+  err => observer.error(err),
+  () => observer.complete()
+));
+
+const wrappingFilter = (predicate) => source => new Observable(observer => source.subscribe(
+  value => routeErrors(observer, () => predicate(value) && observer.next(value)),
+  err => observer.error(err),
+  () => observer.complete()
+));
+
+const addOne = num => num + 1;
+const isPositive = num => num > 0;
+
+// alternates map and filter, length operators long
+const chain = (length, mapOp, filterOp) => source => Array
+  .from({length}, (_, i) => i % 2 ? filterOp(isPositive) : mapOp(addOne))
+  .reduce((observable, operator) => operator(observable), source);
+
+const lifted = (length) => chain(length, projection => source => source.map(projection),
+  predicate => source => source.filter(predicate));
+const wrapping = (length) => chain(length, wrappingMap, wrappingFilter);
+
+const RUNS = 5;
+
+// the median duration of subscribing to the chain until it completes, in ms, after a warm up run
+const measure = (values, operator) => {
+  const durations = Array.from({length: RUNS + 1}, () => {
+    const observable = operator(Observable.fromArray(values));
+    let sum = 0;
+    const start = process.hrtime();
+    observable.subscribe(value => sum += value);
+    const [seconds, nanoseconds] = process.hrtime(start);
+    return seconds * 1e3 + nanoseconds / 1e6;
+  });
+  return durations.slice(1).sort((a, b) => a - b)[Math.floor(RUNS / 2)];
+};
+
+const pad = (text, width) => String(text).padStart(width);
+
+const sizes = process.argv.slice(2).map(Number).filter(size => size > 0);
+
+process.stdout.write(`${pad('values', 10)}${pad('operators', 11)}${pad('wrapping', 12)}${pad('lifted', 12)}${pad('gain', 8)}\n`);
+(sizes.length ? sizes : [1e4, 1e5, 1e6]).forEach(size => {
+  const values = Array.from({length: size}, (_, i) => i);
+  [2, 6, 10].forEach(length => {
+    const before = measure(values, wrapping(length));
+    const after = measure(values, lifted(length));
+    process.stdout.write(`${pad(size, 10)}${pad(length, 11)}${pad(before.toFixed(1), 10)}ms${pad(after.toFixed(1), 10)}ms` +
+      `${pad((before / after).toFixed(1), 7)}x\n`);
+  });
+});
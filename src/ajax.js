@@ -0,0 +1,282 @@
+/* global XMLHttpRequest */
+import http from 'http';
+import https from 'https';
+import {Observable} from './observable';
+import {AjaxError, AjaxTimeoutError} from './errors';
+import {async} from './scheduler';
+import {map} from './operators';
+
+// ajax sends one request per subscription and aborts it on unsubscribe:
+// in the browser it goes through XMLHttpRequest, in node through the http and https modules,
+// both transports report to the same handlers so responses, errors and progress events look the same
+
+/**
+ * What ajax emits once a request succeeded.
+ *
+ * @param request {Object} the normalized request
+ * @param status {Number}
+ * @param headers {Object} lower cased header names to values
+ * @param response the parsed body: an object for the json responseType, a string for text
+ */
+export class AjaxResponse {
+  constructor(request, status, headers, response) {
+    this.request = request;
+    this.status = status;
+    this.headers = headers;
+    this.response = response;
+    this.responseType = request.responseType;
+  }
+}
+
+const isPlainObject = (value) =>
+  Array.isArray(value) || (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+
+const findHeader = (headers, name) => Object.keys(headers).find(key => key.toLowerCase() === name);
+
+// plain objects are sent as json, or url encoded when the content type says so, other bodies as they are
+const serialize = (body, headers) => {
+  if (!isPlainObject(body)) {
+    return {body, headers};
+  }
+  const contentType = headers[findHeader(headers, 'content-type')];
+  if (contentType && contentType.includes('application/x-www-form-urlencoded')) {
+    const encoded = Object.keys(body).map(key => `${encodeURIComponent(key)}=${encodeURIComponent(body[key])}`);
+    return {body: encoded.join('&'), headers};
+  }
+  return {
+    body: JSON.stringify(body),
+    headers: contentType ? headers : Object.assign({'Content-Type': 'application/json;charset=utf-8'}, headers)
+  };
+};
+
+const toRequest = (urlOrRequest) => {
+  const request = typeof urlOrRequest === 'string' ? {url: urlOrRequest} : urlOrRequest;
+  const {body, headers} = serialize(request.body, Object.assign({}, request.headers));
+  return Object.assign({responseType: 'json', timeout: 0}, request, {
+    method: (request.method || 'GET').toUpperCase(),
+    headers,
+    body
+  });
+};
+
+const parseBody = (body, responseType) =>
+  responseType === 'json' && typeof body === 'string' ? (body === '' ? null : JSON.parse(body)) : body;
+
+const parseHeaders = (raw) => raw.split(/[\r\n]+/).filter(line => line.includes(':')).reduce((headers, line) => {
+  const colon = line.indexOf(':');
+  return Object.assign(headers, {[line.slice(0, colon).trim().toLowerCase()]: line.slice(colon + 1).trim()});
+}, {});
+
+// a transport sends request and reports to progress, load and fail, it returns a function aborting the request
+
+const xhrTransport = (request, {progress, load, fail}) => {
+  const xhr = request.createXHR ? request.createXHR() : new XMLHttpRequest();
+  xhr.open(request.method, request.url, true);
+  Object.keys(request.headers).forEach(name => xhr.setRequestHeader(name, request.headers[name]));
+  xhr.withCredentials = !!request.withCredentials;
+  xhr.responseType = request.responseType === 'json' ? 'text' : request.responseType;
+  if (xhr.upload) {
+    xhr.upload.onprogress = event => progress('upload', event.loaded, event.total);
+  }
+  xhr.onprogress = event => progress('download', event.loaded, event.total);
+  xhr.onload = () => load(
+    xhr.status,
+    parseHeaders(xhr.getAllResponseHeaders()),
+    xhr.responseType === 'text' || xhr.responseType === '' ? xhr.responseText : xhr.response
+  );
+  xhr.onerror = () => fail(new Error('network error'));
+  xhr.send(request.body === undefined ? null : request.body);
+  return () => xhr.abort();
+};
+
+// responses are decoded as utf8 for the json and text responseTypes, left as a Buffer otherwise
+const httpTransport = (request, {progress, load, fail}) => {
+  const client = /^https:/i.test(request.url) ? https : http;
+  const headers = request.body == null || findHeader(request.headers, 'content-length')
+    ? request.headers
+    : Object.assign({'Content-Length': Buffer.byteLength(request.body)}, request.headers);
+  const req = client.request(request.url, {method: request.method, headers}, res => {
+    const total = Number(res.headers['content-length']) || 0;
+    const chunks = [];
+    let loaded = 0;
+    res.on('data', chunk => {
+      chunks.push(chunk);
+      loaded += chunk.length;
+      progress('download', loaded, total);
+    });
+    res.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const decode = request.responseType === 'json' || request.responseType === 'text';
+      load(res.statusCode, res.headers, decode ? body.toString('utf8') : body);
+    });
+    res.on('error', fail);
+  });
+  req.on('error', fail);
+  if (request.body != null) {
+    const size = Buffer.byteLength(request.body);
+    req.on('finish', () => progress('upload', size, size));
+    req.write(request.body);
+  }
+  req.end();
+  return () => req.destroy();
+};
+
+const transportOf = (request) =>
+  request.createXHR || typeof XMLHttpRequest !== 'undefined' ? xhrTransport : httpTransport;
+
+/**
+ * Static creation operators : ajax
+ * Sends an HTTP request on each subscription, emits an AjaxResponse then completes when its status is 2xx,
+ * errors with an AjaxError otherwise, or when the request fails on the network, with status 0,
+ * or with an AjaxTimeoutError when no response came within timeout. Unsubscribing aborts the pending request.
+ *
+ * The request accepts:
+ * url {String}
+ * method {String} GET by default
+ * headers {Object}
+ * body plain objects are sent as json, or url encoded when the Content-Type header says so
+ * responseType {String} json by default, text, or what XMLHttpRequest supports in the browser
+ * timeout {Number} in ms, 0 to wait forever
+ * withCredentials {Boolean} for cross-origin requests in the browser
+ * progressSubscriber {Object} an observer receiving {type: 'upload'|'download', loaded, total},
+ * completed with the request or errored with it
+ * createXHR {Function} returns the XMLHttpRequest to use, to send through it outside the browser
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/ajax.html } for examples.
+ *
+ * @param urlOrRequest {String|Object}
+ * @returns {Observable}
+ */
+export const ajax = (urlOrRequest) => new Observable(observer => {
+  const request = toRequest(urlOrRequest);
+  const progressSubscriber = request.progressSubscriber || {};
+  const notify = (method, ...args) => {
+    if (typeof progressSubscriber[method] === 'function') {
+      progressSubscriber[method](...args);
+    }
+  };
+  let pending = true;
+  let cancelTimeout = null;
+
+  const succeed = (response) => {
+    pending = false;
+    notify('complete');
+    observer.next(response);
+    observer.complete();
+  };
+
+  const fail = (err) => {
+    pending = false;
+    notify('error', err);
+    observer.error(err);
+  };
+
+  const abort = transportOf(request)(request, {
+    progress: (type, loaded, total) => notify('next', {type, loaded, total}),
+    load: (status, headers, body) => {
+      if (cancelTimeout) {
+        cancelTimeout();
+      }
+      const ok = status >= 200 && status < 300;
+      let response;
+      try {
+        response = parseBody(body, request.responseType);
+      } catch (err) {
+        if (ok) {
+          fail(new AjaxError(`ajax parse error: ${err.message}`, request, new AjaxResponse(request, status, headers, body)));
+          return;
+        }
+        response = body;
+      }
+      const ajaxResponse = new AjaxResponse(request, status, headers, response);
+      if (ok) {
+        succeed(ajaxResponse);
+      } else {
+        fail(new AjaxError(`ajax error ${status}`, request, ajaxResponse));
+      }
+    },
+    fail: err => {
+      if (pending) {
+        if (cancelTimeout) {
+          cancelTimeout();
+        }
+        fail(new AjaxError(`ajax error: ${err.message}`, request));
+      }
+    }
+  });
+
+  if (pending && request.timeout > 0) {
+    cancelTimeout = async.schedule(() => {
+      abort();
+      fail(new AjaxTimeoutError(request));
+    }, request.timeout);
+  }
+
+  return () => {
+    if (cancelTimeout) {
+      cancelTimeout();
+    }
+    if (pending) {
+      pending = false;
+      abort();
+    }
+  };
+});
+
+/**
+ * ajax shortcut: a GET request.
+ *
+ * @param url {String}
+ * @param headers {Object}
+ * @returns {Observable} of AjaxResponse
+ */
+export const get = (url, headers) => ajax({method: 'GET', url, headers});
+
+/**
+ * ajax shortcut: a GET request emitting the parsed json body of the response rather than the AjaxResponse.
+ *
+ * @param url {String}
+ * @param headers {Object}
+ * @returns {Observable}
+ */
+export const getJSON = (url, headers) =>
+  map(response => response.response)(ajax({method: 'GET', url, headers, responseType: 'json'}));
+
+/**
+ * ajax shortcut: a POST request.
+ *
+ * @param url {String}
+ * @param body sent as json when it is a plain object
+ * @param headers {Object}
+ * @returns {Observable} of AjaxResponse
+ */
+export const post = (url, body, headers) => ajax({method: 'POST', url, body, headers});
+
+/**
+ * ajax shortcut: a PUT request.
+ *
+ * @param url {String}
+ * @param body sent as json when it is a plain object
+ * @param headers {Object}
+ * @returns {Observable} of AjaxResponse
+ */
+export const put = (url, body, headers) => ajax({method: 'PUT', url, body, headers});
+
+/**
+ * ajax shortcut: a PATCH request.
+ *
+ * @param url {String}
+ * @param body sent as json when it is a plain object
+ * @param headers {Object}
+ * @returns {Observable} of AjaxResponse
+ */
+export const patch = (url, body, headers) => ajax({method: 'PATCH', url, body, headers});
+
+/**
+ * ajax shortcut: a DELETE request, exposed as ajax.delete.
+ *
+ * @param url {String}
+ * @param headers {Object}
+ * @returns {Observable} of AjaxResponse
+ */
+export const del = (url, headers) => ajax({method: 'DELETE', url, headers});
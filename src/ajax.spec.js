@@ -0,0 +1,308 @@
+import http from 'http';
+import {expect} from 'chai';
+import sinon from 'sinon';
+import {Observable, AjaxResponse, AjaxError, AjaxTimeoutError} from './rxjs';
+
+// requests go to a stub server listening on a free local port, each test sets how it answers;
+// it needs node, so this spec is left out of the browser build
+
+describe('Observable.ajax', () => {
+  let server;
+  let url;
+  let handle;
+
+  const readBody = (req) => new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => resolve(body));
+  });
+
+  const respond = (res, status, body, headers = {'Content-Type': 'application/json'}) => {
+    res.writeHead(status, headers);
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+
+  // answers with what the server received
+  const echo = (req, res) => readBody(req).then(body => respond(res, 200, {
+    method: req.method,
+    url: req.url,
+    contentType: req.headers['content-type'] || null,
+    custom: req.headers['x-custom'] || null,
+    body
+  }));
+
+  before(done => {
+    server = http.createServer((req, res) => handle(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    handle = echo;
+  });
+
+  it('should emit an AjaxResponse with the status, the headers and the parsed body then complete', () => {
+    handle = (req, res) => respond(res, 200, {hello: 'world'}, {'Content-Type': 'application/json', 'X-Custom': 'yes'});
+    let result = [];
+    return Observable.ajax(`${url}/resource`).forEach(response => result = [...result, response]).then(() => {
+      expect(result.length).equals(1);
+      expect(result[0]).instanceOf(AjaxResponse);
+      expect(result[0].status).equals(200);
+      expect(result[0].headers['x-custom']).equals('yes');
+      expect(result[0].response).deep.equals({hello: 'world'});
+      expect(result[0].request.url).equals(`${url}/resource`);
+    });
+  });
+
+  it('should send one request per subscription', () => {
+    handle = sinon.spy(echo);
+    const request$ = Observable.ajax(url);
+    return Promise.all([request$.toPromise(), request$.toPromise()]).then(() => {
+      expect(handle.calledTwice).equals(true);
+    });
+  });
+
+  it('should send the method, the headers and the body of the request', () =>
+    Observable.ajax({url: `${url}/path`, method: 'post', headers: {'X-Custom': 'value'}, body: 'raw'}).toPromise()
+      .then(({response}) => expect(response).deep.equals({
+        method: 'POST', url: '/path', contentType: null, custom: 'value', body: 'raw'
+      }))
+  );
+
+  it('should send plain objects as json, or url encoded when the content type says so', () =>
+    Promise.all([
+      Observable.ajax({url, method: 'POST', body: {a: 1}}).toPromise(),
+      Observable.ajax({
+        url,
+        method: 'POST',
+        body: {a: 1, b: 'x y'},
+        headers: {'Content-Type': 'application/x-www-form-urlencoded'}
+      }).toPromise()
+    ]).then(([json, encoded]) => {
+      expect(json.response.contentType).equals('application/json;charset=utf-8');
+      expect(json.response.body).equals('{"a":1}');
+      expect(encoded.response.body).equals('a=1&b=x%20y');
+    })
+  );
+
+  it('should leave the body as text with the text responseType', () => {
+    handle = (req, res) => respond(res, 200, '{"not": "parsed"}');
+    return Observable.ajax({url, responseType: 'text'}).toPromise()
+      .then(({response}) => expect(response).equals('{"not": "parsed"}'));
+  });
+
+  it('should offer get, getJSON, post, put, patch and delete shortcuts', () =>
+    Promise.all([
+      Observable.ajax.get(url, {'X-Custom': 'get'}).toPromise(),
+      Observable.ajax.getJSON(url).toPromise(),
+      Observable.ajax.post(url, {a: 1}).toPromise(),
+      Observable.ajax.put(url, 'put').toPromise(),
+      Observable.ajax.patch(url, 'patch').toPromise(),
+      Observable.ajax.delete(url).toPromise()
+    ]).then(([get, getJSON, post, put, patch, del]) => {
+      expect(get.response.custom).equals('get');
+      expect(getJSON.method).equals('GET');
+      expect([post, put, patch, del].map(({response}) => [response.method, response.body])).deep.equals([
+        ['POST', '{"a":1}'], ['PUT', 'put'], ['PATCH', 'patch'], ['DELETE', '']
+      ]);
+    })
+  );
+
+  it('should error with an AjaxError on a status outside of 2xx', () => {
+    handle = (req, res) => respond(res, 404, {reason: 'missing'});
+    return Observable.ajax(url).toPromise().then(
+      () => expect.fail(),
+      err => {
+        expect(err).instanceOf(AjaxError);
+        expect(err.status).equals(404);
+        expect(err.response.response).deep.equals({reason: 'missing'});
+        expect(err.request.url).equals(url);
+      }
+    );
+  });
+
+  it('should error with an AjaxError when the body of a successful response is not valid json', () => {
+    handle = (req, res) => respond(res, 200, '<html>');
+    return Observable.ajax(url).toPromise().then(
+      () => expect.fail(),
+      err => {
+        expect(err).instanceOf(AjaxError);
+        expect(err.response.response).equals('<html>');
+      }
+    );
+  });
+
+  it('should error with an AjaxError of status 0 when the request fails on the network', () => {
+    const closed = http.createServer();
+    return new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+      .then(() => {
+        const port = closed.address().port;
+        return new Promise(resolve => closed.close(() => resolve(port)));
+      })
+      .then(port => Observable.ajax(`http://127.0.0.1:${port}`).toPromise())
+      .then(
+        () => expect.fail(),
+        err => {
+          expect(err).instanceOf(AjaxError);
+          expect(err.status).equals(0);
+          expect(err.response).equals(null);
+        }
+      );
+  });
+
+  describe('cancellation :', () => {
+
+    // resolves once the server sees the request closed before it answered
+    const abortedOnServer = () => new Promise(resolve => {
+      handle = (req, res) => res.on('close', () => resolve(res.writableEnded));
+    });
+
+    it('should abort the pending request on unsubscribe', () => {
+      const aborted = abortedOnServer();
+      const next = sinon.spy();
+      const error = sinon.spy();
+      const subscription = Observable.ajax(url).subscribe(next, error);
+      setTimeout(() => subscription.unsubscribe(), 20);
+      return aborted.then(ended => {
+        expect(ended).equals(false);
+        expect(next.called).equals(false);
+        expect(error.called).equals(false);
+      });
+    });
+
+    it('should abort the request and error with an AjaxTimeoutError once timeout elapsed', () => {
+      const aborted = abortedOnServer();
+      const request$ = Observable.ajax({url, timeout: 20}).toPromise().then(
+        () => expect.fail(),
+        err => {
+          expect(err).instanceOf(AjaxTimeoutError);
+          expect(err).instanceOf(AjaxError);
+          expect(err.status).equals(0);
+        }
+      );
+      return Promise.all([request$, aborted]).then(([, ended]) => expect(ended).equals(false));
+    });
+  });
+
+  describe('progress :', () => {
+
+    it('should report upload and download progress to the progressSubscriber', () => {
+      handle = (req, res) => readBody(req).then(() => {
+        res.writeHead(200, {'Content-Type': 'text/plain', 'Content-Length': '6'});
+        res.write('abc');
+        setTimeout(() => res.end('def'), 10);
+      });
+      let events = [];
+      const complete = sinon.spy();
+      const progressSubscriber = {next: event => events = [...events, event], complete};
+      return Observable.ajax({url, method: 'POST', body: 'hello', responseType: 'text', progressSubscriber}).toPromise()
+        .then(({response}) => {
+          expect(response).equals('abcdef');
+          expect(events).deep.equals([
+            {type: 'upload', loaded: 5, total: 5},
+            {type: 'download', loaded: 3, total: 6},
+            {type: 'download', loaded: 6, total: 6}
+          ]);
+          expect(complete.calledOnce).equals(true);
+        });
+    });
+
+    it('should error the progressSubscriber when the request fails', () => {
+      handle = (req, res) => respond(res, 500, {});
+      const error = sinon.spy();
+      return Observable.ajax({url, progressSubscriber: {error}}).toPromise().then(
+        () => expect.fail(),
+        err => expect(error.args).deep.equals([[err]])
+      );
+    });
+  });
+
+  describe('XMLHttpRequest :', () => {
+
+    // records what ajax does with it, the test answers through respond
+    class FakeXHR {
+      constructor() {
+        this.headers = {};
+        this.upload = {};
+        this.abort = sinon.spy();
+      }
+
+      open(method, url, async) {
+        Object.assign(this, {method, url, async});
+      }
+
+      setRequestHeader(name, value) {
+        this.headers[name] = value;
+      }
+
+      send(body) {
+        this.body = body;
+      }
+
+      getAllResponseHeaders() {
+        return 'Content-Type: application/json\r\nX-Custom: yes\r\n';
+      }
+
+      respond(status, responseText) {
+        Object.assign(this, {status, responseText});
+        this.onload();
+      }
+    }
+
+    it('should send the request through the XMLHttpRequest createXHR returns', () => {
+      let xhr;
+      let result = [];
+      Observable.ajax({
+        url: '/api',
+        method: 'PUT',
+        body: {a: 1},
+        withCredentials: true,
+        createXHR: () => xhr = new FakeXHR()
+      }).subscribe(response => result = [...result, response]);
+      expect(xhr).to.include({method: 'PUT', url: '/api', async: true, body: '{"a":1}', withCredentials: true});
+      expect(xhr.responseType).equals('text');
+      expect(xhr.headers).deep.equals({'Content-Type': 'application/json;charset=utf-8'});
+      xhr.respond(201, '{"id":1}');
+      expect(result.map(({status, headers, response}) => ({status, headers, response}))).deep.equals([
+        {status: 201, headers: {'content-type': 'application/json', 'x-custom': 'yes'}, response: {id: 1}}
+      ]);
+    });
+
+    it('should report progress and network errors', () => {
+      let xhr;
+      let events = [];
+      const error = sinon.spy();
+      Observable.ajax({
+        url: '/api',
+        createXHR: () => xhr = new FakeXHR(),
+        progressSubscriber: {next: event => events = [...events, event]}
+      }).subscribe(() => {}, error);
+      xhr.upload.onprogress({loaded: 1, total: 2});
+      xhr.onprogress({loaded: 3, total: 4});
+      xhr.onerror();
+      expect(events).deep.equals([{type: 'upload', loaded: 1, total: 2}, {type: 'download', loaded: 3, total: 4}]);
+      expect(error.args[0][0]).instanceOf(AjaxError);
+      expect(error.args[0][0].status).equals(0);
+    });
+
+    it('should abort the XMLHttpRequest on unsubscribe, not once it completed', () => {
+      let xhrs = [];
+      const request$ = Observable.ajax({url: '/api', createXHR: () => {
+        const xhr = new FakeXHR();
+        xhrs = [...xhrs, xhr];
+        return xhr;
+      }});
+      request$.subscribe().unsubscribe();
+      const subscription = request$.subscribe();
+      xhrs[1].respond(200, '');
+      subscription.unsubscribe();
+      expect(xhrs.map(xhr => xhr.abort.called)).deep.equals([true, false]);
+    });
+  });
+});
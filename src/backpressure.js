@@ -0,0 +1,110 @@
+import {Subscriber} from './subscriber';
+import {ArgumentOutOfRangeError} from './errors';
+
+// by default producers push values as fast as they come, in pull mode the subscriber tells how many it can take:
+// producers able to wait, such as from over an array or an iterable, emit no more than what was requested,
+// and the onBackpressure operators bound what push sources such as interval or fromEvent leave in memory.
+// Demand goes up through the operators chaining their Subscribers with lift, such as map and filter:
+// the producer emits while the DemandSubscriber at the end of the chain has pending requests
+
+/**
+ * A Subscriber consuming in pull mode: it receives nothing until it requests values.
+ * Producers register the way they emit through onDemand, sources unaware of demand keep pushing.
+ *
+ * @param destinationOrNext {Object|Function} an observer, possibly partial, or a next callback
+ * @param error {Function}
+ * @param complete {Function}
+ */
+export class DemandSubscriber extends Subscriber {
+  constructor(destinationOrNext, error, complete) {
+    super(destinationOrNext, error, complete);
+    this.requested = 0;
+    this._drain = null;
+  }
+
+  /**
+   * Asks for n more values, the producer emits them right away when it has them.
+   * Requesting from next, once a value was processed, doesn't grow the stack.
+   *
+   * @param n {Number} strictly positive, Infinity switches back to push mode
+   */
+  request(n) {
+    if (!(n > 0)) {
+      throw new ArgumentOutOfRangeError(`request expects a positive number of values, got ${n}`);
+    }
+    if (this.isStopped) {
+      return;
+    }
+    this.requested += n;
+    if (this._drain) {
+      this._drain();
+    }
+  }
+
+  next(value) {
+    if (!this.isStopped) {
+      this.requested = Math.max(0, this.requested - 1);
+    }
+    super.next(value);
+  }
+
+  onRequest(drain) {
+    this._drain = drain;
+    drain();
+  }
+}
+
+// the DemandSubscriber subscriber forwards to through the Subscribers of lifted operators, null in push mode
+const demandSubscriberOf = (subscriber) => {
+  let current = subscriber;
+  while (!(current instanceof DemandSubscriber) && current.destination instanceof Subscriber) {
+    current = current.destination;
+  }
+  return current instanceof DemandSubscriber ? current : null;
+};
+
+/**
+ * @param subscriber {Subscriber}
+ * @returns {Number} how many more values subscriber can take,
+ * Infinity unless it is, or forwards through lifted operators to, a DemandSubscriber
+ */
+export const pendingDemand = (subscriber) => {
+  const demandSubscriber = demandSubscriberOf(subscriber);
+  return demandSubscriber ? demandSubscriber.requested : Infinity;
+};
+
+/**
+ * Lets a producer emit only what its subscriber requested.
+ * emitOne is called while there is demand, it emits a single value and returns true,
+ * or returns false when it has nothing to emit for now, completing the subscriber if it never will.
+ * Errors thrown by emitOne are sent to the subscriber.
+ *
+ * @param subscriber {Subscriber}
+ * @param emitOne {Function}
+ * @returns {Function} drains as much as possible, call it once emitOne may have values again
+ */
+export const onDemand = (subscriber, emitOne) => {
+  const demandSubscriber = demandSubscriberOf(subscriber);
+  let draining = false;
+  const drain = () => {
+    if (draining) {
+      return;
+    }
+    draining = true;
+    try {
+      while (!subscriber.closed && (!demandSubscriber || demandSubscriber.requested > 0) && emitOne()) {
+        // each round emitted a value, and next may have requested more
+      }
+    } catch (err) {
+      subscriber.error(err);
+    } finally {
+      draining = false;
+    }
+  };
+  if (demandSubscriber) {
+    demandSubscriber.onRequest(drain);
+  } else {
+    drain();
+  }
+  return drain;
+};
@@ -0,0 +1,181 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import {Observable, DemandSubscriber, ArgumentOutOfRangeError, BufferOverflowError} from './rxjs';
+import {onBackpressureBuffer} from './operators';
+import {TestScheduler} from './testing';
+
+describe('Backpressure', () => {
+  let scheduler;
+  let result;
+  let subscriber;
+
+  beforeEach(() => {
+    scheduler = new TestScheduler((actual, expected) => expect(actual).deep.equal(expected));
+    result = [];
+    subscriber = new DemandSubscriber(val => result = [...result, val], err => result = [...result, err], () => result = [...result, '|']);
+  });
+
+  describe('DemandSubscriber :', () => {
+
+    it('should only get the values it requested from an array', () => {
+      Observable.from([1, 2, 3, 4]).subscribe(subscriber);
+      expect(result).deep.equals([]);
+      subscriber.request(1);
+      expect(result).deep.equals([1]);
+      subscriber.request(2);
+      expect(result).deep.equals([1, 2, 3]);
+      subscriber.request(1);
+      expect(result).deep.equals([1, 2, 3, 4, '|']);
+    });
+
+    it('should keep what was requested before subscribing', () => {
+      subscriber.request(2);
+      Observable.of(1, 2, 3).subscribe(subscriber);
+      expect(result).deep.equals([1, 2]);
+    });
+
+    it('should pull iterables lazily', () => {
+      let pulled = 0;
+      function* naturals() {
+        for (let i = 0; ; i++) {
+          pulled++;
+          yield i;
+        }
+      }
+      Observable.from(naturals()).subscribe(subscriber);
+      subscriber.request(3);
+      expect(result).deep.equals([0, 1, 2]);
+      expect(pulled).equals(3);
+      subscriber.unsubscribe();
+    });
+
+    it('should get its demand through map and filter', () => {
+      let pulled = 0;
+      function* naturals() {
+        for (let i = 0; ; i++) {
+          pulled++;
+          yield i;
+        }
+      }
+      Observable.from(naturals()).map(num => num * 10).filter(num => num % 20 === 0).subscribe(subscriber);
+      subscriber.request(2);
+      expect(result).deep.equals([0, 20]);
+      expect(pulled).equals(3);
+      subscriber.unsubscribe();
+      Observable.from([1, 2, 3]).mapTo('x').subscribe(subscriber = new DemandSubscriber(val => result = [...result, val]));
+      subscriber.request(1);
+      expect(result).deep.equals([0, 20, 'x']);
+    });
+
+    it('should not grow the stack when requesting from next', () => {
+      let count = 0;
+      const pull = new DemandSubscriber(() => {
+        count++;
+        pull.request(1);
+      });
+      Observable.from(new Array(100000).fill(0)).subscribe(pull);
+      pull.request(1);
+      expect(count).equals(100000);
+    });
+
+    it('should let slow consumers request the next value once done with the previous one', (done) => {
+      const pull = new DemandSubscriber(
+        val => {
+          result = [...result, val];
+          setTimeout(() => pull.request(1), 1);
+        },
+        done,
+        () => {
+          expect(result).deep.equals(['a', 'b', 'c']);
+          done();
+        }
+      );
+      Observable.from(new Set(['a', 'b', 'c'])).subscribe(pull);
+      pull.request(1);
+    });
+
+    it('should switch back to push mode when requesting Infinity', () => {
+      Observable.from([1, 2, 3]).subscribe(subscriber);
+      subscriber.request(Infinity);
+      expect(result).deep.equals([1, 2, 3, '|']);
+    });
+
+    it('should reject requests that are not strictly positive', () => {
+      expect(() => subscriber.request(0)).to.throw(ArgumentOutOfRangeError);
+      expect(() => subscriber.request(-1)).to.throw(ArgumentOutOfRangeError);
+    });
+
+    it('should keep receiving every value from sources unaware of demand', () => {
+      new Observable(observer => {
+        observer.next(1);
+        observer.next(2);
+        observer.complete();
+      }).subscribe(subscriber);
+      expect(result).deep.equals([1, 2, '|']);
+    });
+  });
+
+  describe('onBackpressureBuffer :', () => {
+
+    it('should buffer the pushed values until they are requested', () => {
+      Observable.interval(10, scheduler).take(4).onBackpressureBuffer().subscribe(subscriber);
+      scheduler.schedule(() => subscriber.request(2), 25);
+      scheduler.schedule(() => subscriber.request(1), 45);
+      scheduler.flush();
+      expect(result).deep.equals([0, 1, 2]);
+      subscriber.request(1);
+      expect(result).deep.equals([0, 1, 2, 3, '|']);
+    });
+
+    it('should mirror the source for subscribers in push mode', () => {
+      const source$ = scheduler.cold('-a-b-|');
+      scheduler.expectObservable(source$.onBackpressureBuffer(1)).toBe('-a-b-|');
+      scheduler.flush();
+    });
+
+    it('should error with a BufferOverflowError once more than maxSize values are pending', () => {
+      Observable.of(1, 2, 3, 4).onBackpressureBuffer(2).subscribe(subscriber);
+      expect(result.length).equals(1);
+      expect(result[0]).instanceOf(BufferOverflowError);
+    });
+
+    it('should drop the overflowing values given to onOverflow', () => {
+      const onOverflow = sinon.spy();
+      Observable.of(1, 2, 3, 4).pipe(onBackpressureBuffer(2, onOverflow)).subscribe(subscriber);
+      expect(onOverflow.args).deep.equals([[3], [4]]);
+      subscriber.request(3);
+      expect(result).deep.equals([1, 2, '|']);
+    });
+
+    it('should send errors without waiting for the buffer to drain', () => {
+      const source$ = scheduler.cold('-a-b-#');
+      source$.onBackpressureBuffer().subscribe(subscriber);
+      scheduler.flush();
+      expect(result).deep.equals(['error']);
+    });
+  });
+
+  describe('onBackpressureDrop :', () => {
+
+    it('should drop the values arriving without pending request', () => {
+      const onDrop = sinon.spy();
+      Observable.interval(10, scheduler).take(5).onBackpressureDrop(onDrop).subscribe(subscriber);
+      subscriber.request(1);
+      scheduler.schedule(() => subscriber.request(1), 35);
+      scheduler.flush();
+      expect(result).deep.equals([0, 3, '|']);
+      expect(onDrop.args).deep.equals([[1], [2], [4]]);
+    });
+  });
+
+  describe('onBackpressureLatest :', () => {
+
+    it('should emit the latest value on the next request', () => {
+      Observable.interval(10, scheduler).take(5).onBackpressureLatest().subscribe(subscriber);
+      scheduler.schedule(() => subscriber.request(1), 35);
+      scheduler.schedule(() => subscriber.request(2), 60);
+      scheduler.flush();
+      expect(result).deep.equals([2, 4, '|']);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import {async} from './scheduler';
+
+// the global configuration is read each time a hook is needed, so it can be changed at any time,
+// it is exposed as Observable.config by ./rxjs
+
+/**
+ * Global hooks and options, the single place to capture stream failures.
+ *
+ * onUnhandledError {Function} (err) => void, receives the errors of subscribers without error callback,
+ * rethrows them asynchronously by default so they are not silently swallowed
+ *
+ * onStoppedNotification {Function} (notification, subscriber) => void, optional,
+ * receives the notifications a producer sent after it completed or errored,
+ * as {kind: 'N', value}, {kind: 'E', error} or {kind: 'C'}
+ *
+ * routeCallbackErrors {Boolean} when true, what the next callback of a subscriber,
+ * the projection of map, the predicate of filter or the callbacks of do throw is sent to the error channel
+ */
+export const config = {
+  onUnhandledError: (err) => {
+    async.schedule(() => {
+      throw err;
+    });
+  },
+  onStoppedNotification: null,
+  routeCallbackErrors: false
+};
+
+/**
+ * Runs callback, sending what it throws to observer when config.routeCallbackErrors is set.
+ *
+ * @param observer {Subscriber}
+ * @param callback {Function}
+ */
+export const routeErrors = (observer, callback) => {
+  if (!config.routeCallbackErrors) {
+    callback();
+    return;
+  }
+  try {
+    callback();
+  } catch (err) {
+    observer.error(err);
+  }
+};
@@ -0,0 +1,116 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import {Observable, Subject, config} from './rxjs';
+import {map, filter, tap} from './operators';
+import {TestScheduler} from './testing';
+
+describe('Config', () => {
+  const defaults = Object.assign({}, config);
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new TestScheduler((actual, expected) => expect(actual).deep.equal(expected));
+  });
+
+  afterEach(() => {
+    Object.assign(config, defaults);
+  });
+
+  it('should be exposed as Observable.config', () => {
+    expect(Observable.config).equals(config);
+  });
+
+  describe('onUnhandledError :', () => {
+
+    it('should receive the errors of subscribers without error callback', () => {
+      config.onUnhandledError = sinon.spy();
+      const failing$ = new Observable(() => {
+        throw 'boom';
+      });
+      failing$.subscribe(() => {});
+      failing$.subscribe({next: () => {}});
+      failing$.subscribe({error: () => {}});
+      failing$.subscribe(() => {}, () => {});
+      expect(config.onUnhandledError.args).deep.equals([['boom'], ['boom']]);
+    });
+
+    it('should rethrow asynchronously by default', () => {
+      const clock = sinon.useFakeTimers();
+      try {
+        Observable.throw(new Error('boom')).subscribe();
+        expect(() => clock.tick(1)).to.throw('boom');
+      } finally {
+        clock.restore();
+      }
+    });
+  });
+
+  describe('onStoppedNotification :', () => {
+
+    it('should receive the notifications a producer sends after it completed or errored', () => {
+      config.onStoppedNotification = sinon.spy();
+      new Observable(observer => {
+        observer.complete();
+        observer.next(1);
+        observer.error('boom');
+        observer.complete();
+      }).subscribe();
+      expect(config.onStoppedNotification.args.map(([notification]) => notification)).deep.equals([
+        {kind: 'N', value: 1},
+        {kind: 'E', error: 'boom'},
+        {kind: 'C'}
+      ]);
+    });
+
+    it('should not receive the notifications sent after unsubscribe', () => {
+      config.onStoppedNotification = sinon.spy();
+      let observer;
+      const subscription = new Observable(subscriber => {
+        observer = subscriber;
+      }).subscribe();
+      subscription.unsubscribe();
+      observer.next(1);
+      observer.complete();
+      expect(config.onStoppedNotification.called).equals(false);
+    });
+  });
+
+  describe('routeCallbackErrors :', () => {
+
+    it('should leave the callback errors to the caller by default', () => {
+      const subject = new Subject();
+      const error = sinon.spy();
+      subject.pipe(map(() => {
+        throw 'boom';
+      })).subscribe(() => {}, error);
+      expect(() => subject.next(1)).to.throw('boom');
+      expect(error.called).equals(false);
+    });
+
+    it('should send the errors of projections, predicates and do callbacks to the error channel', () => {
+      config.routeCallbackErrors = true;
+      const fail = (val) => {
+        if (val === 'b') {
+          throw 'boom';
+        }
+        return val;
+      };
+      const source$ = scheduler.hot('-a-b-c|');
+      scheduler.expectObservable(source$.pipe(map(fail))).toBe('-a-#', null, 'boom');
+      scheduler.expectObservable(source$.pipe(filter(fail))).toBe('-a-#', null, 'boom');
+      scheduler.expectObservable(source$.pipe(tap(fail))).toBe('-a-#', null, 'boom');
+      scheduler.flush();
+    });
+
+    it('should send the errors of the next callback of a subscriber to its error callback', () => {
+      config.routeCallbackErrors = true;
+      const error = sinon.spy();
+      Observable.interval(10, scheduler).subscribe(() => {
+        throw 'boom';
+      }, error);
+      scheduler.flush();
+      expect(error.args).deep.equals([['boom']]);
+      expect(scheduler.actions).deep.equals([]);
+    });
+  });
+});
@@ -0,0 +1,352 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import {Observable, SubscriptionObserver, config} from './rxjs';
+import {observable as symbolObservable} from './symbol';
+
+// the behaviours the ES Observable proposal specifies, https://github.com/tc39/proposal-observable,
+// which other implementations rely on when they exchange Observables with this one
+
+describe('ES Observable proposal conformance', () => {
+
+  describe('constructor :', () => {
+
+    it('should throw a TypeError when the subscriber function is not callable', () => {
+      expect(() => new Observable({})).to.throw(TypeError);
+      expect(() => new Observable(1)).to.throw(TypeError);
+      expect(() => new Observable('string')).to.throw(TypeError);
+    });
+
+    it('should not be callable as a function', () => {
+      expect(() => Observable(() => {})).to.throw(TypeError);
+    });
+
+    it('should not call the subscriber function', () => {
+      const producer = sinon.spy();
+      new Observable(producer);
+      expect(producer.called).equals(false);
+    });
+  });
+
+  describe('Symbol.observable :', () => {
+
+    it('should return the Observable itself', () => {
+      const observable = new Observable(() => {});
+      expect(typeof Observable.prototype[symbolObservable]).equals('function');
+      expect(observable[symbolObservable]()).equals(observable);
+    });
+  });
+
+  describe('subscribe :', () => {
+
+    it('should not throw whatever is given as observer', () => {
+      const observable = Observable.of(1);
+      [null, undefined, 1, true, 'string', {}, Object(1), () => {}].forEach(observer => {
+        expect(() => observable.subscribe(observer)).not.to.throw();
+      });
+    });
+
+    it('should accept the next, error and complete callbacks as arguments', () => {
+      const next = sinon.spy();
+      const error = sinon.spy();
+      const complete = sinon.spy();
+      new Observable(observer => {
+        observer.next(1);
+        observer.complete();
+      }).subscribe(next, error, complete);
+      new Observable(observer => observer.error('boom')).subscribe(next, error, complete);
+      expect(next.args).deep.equals([[1]]);
+      expect(error.args).deep.equals([['boom']]);
+      expect(complete.calledOnce).equals(true);
+    });
+
+    it('should call the observer methods on the observer', () => {
+      const observer = {
+        next(value) {
+          this.values = [...this.values, value];
+        },
+        values: []
+      };
+      Observable.of(1, 2).subscribe(observer);
+      expect(observer.values).deep.equals([1, 2]);
+    });
+
+    it('should call the subscriber function synchronously with a SubscriptionObserver', () => {
+      let observer = null;
+      new Observable(subscriptionObserver => observer = subscriptionObserver).subscribe({});
+      expect(observer).instanceOf(SubscriptionObserver);
+      ['next', 'error', 'complete'].forEach(method => expect(typeof observer[method]).equals('function'));
+      expect(observer.closed).equals(false);
+    });
+
+    it('should return a subscription with an unsubscribe method and a closed property', () => {
+      const subscription = new Observable(() => {}).subscribe({});
+      expect(typeof subscription.unsubscribe).equals('function');
+      expect(subscription.closed).equals(false);
+      subscription.unsubscribe();
+      expect(subscription.closed).equals(true);
+    });
+
+    it('should send the exceptions of the subscriber function to the error method', () => {
+      const error = sinon.spy();
+      new Observable(() => {
+        throw 'boom';
+      }).subscribe({error});
+      expect(error.args).deep.equals([['boom']]);
+    });
+  });
+
+  describe('start :', () => {
+
+    it('should be called with the subscription before the subscriber function', () => {
+      let calls = [];
+      let started = null;
+      const subscription = new Observable(() => calls = [...calls, 'subscriber']).subscribe({
+        start(subscription) {
+          started = subscription;
+          calls = [...calls, 'start'];
+        }
+      });
+      expect(calls).deep.equals(['start', 'subscriber']);
+      expect(started).equals(subscription);
+    });
+
+    it('should prevent the subscriber function from being called when it unsubscribes', () => {
+      const producer = sinon.spy();
+      const subscription = new Observable(producer).subscribe({
+        start: subscription => subscription.unsubscribe()
+      });
+      expect(producer.called).equals(false);
+      expect(subscription.closed).equals(true);
+    });
+  });
+
+  describe('cleanup :', () => {
+
+    it('should call the function returned by the subscriber function on unsubscribe', () => {
+      const cleanup = sinon.spy();
+      const subscription = new Observable(() => cleanup).subscribe({});
+      expect(cleanup.called).equals(false);
+      subscription.unsubscribe();
+      subscription.unsubscribe();
+      expect(cleanup.calledOnce).equals(true);
+    });
+
+    it('should call the unsubscribe method of a subscription returned by the subscriber function', () => {
+      const unsubscribe = sinon.spy();
+      new Observable(() => ({unsubscribe})).subscribe({}).unsubscribe();
+      expect(unsubscribe.calledOnce).equals(true);
+    });
+
+    it('should send a TypeError to the error method when the cleanup is invalid', () => {
+      const error = sinon.spy();
+      new Observable(() => 42).subscribe({error});
+      expect(error.args[0][0]).instanceOf(TypeError);
+    });
+
+    it('should run once the observer completed or errored', () => {
+      const cleanup = sinon.spy();
+      let observer = null;
+      new Observable(subscriptionObserver => {
+        observer = subscriptionObserver;
+        return cleanup;
+      }).subscribe({});
+      observer.complete();
+      expect(cleanup.calledOnce).equals(true);
+    });
+
+    it('should run right away when the subscriber function closed the subscription', () => {
+      const cleanup = sinon.spy();
+      new Observable(observer => {
+        observer.complete();
+        return cleanup;
+      }).subscribe({});
+      expect(cleanup.calledOnce).equals(true);
+    });
+  });
+
+  describe('SubscriptionObserver :', () => {
+
+    it('should be closed once it completed, errored or was unsubscribed', () => {
+      let observers = [];
+      const observable = new Observable(observer => {
+        observers = [...observers, observer];
+      });
+      observable.subscribe({});
+      observable.subscribe({error: () => {}});
+      const subscription = observable.subscribe({});
+      observers[0].complete();
+      observers[1].error('boom');
+      subscription.unsubscribe();
+      expect(observers.map(observer => observer.closed)).deep.equals([true, true, true]);
+    });
+
+    it('should ignore the notifications sent once closed', () => {
+      const next = sinon.spy();
+      new Observable(observer => {
+        observer.complete();
+        observer.next(1);
+        observer.error('boom');
+      }).subscribe({next, error: next, complete: () => {}});
+      expect(next.called).equals(false);
+    });
+
+    it('should not throw when the observer lacks a method', () => {
+      expect(() => Observable.of(1).subscribe({})).not.to.throw();
+    });
+
+    it('should report the errors of observers without error method', () => {
+      const onUnhandledError = config.onUnhandledError;
+      config.onUnhandledError = sinon.spy();
+      try {
+        new Observable(observer => observer.error('boom')).subscribe({});
+        expect(config.onUnhandledError.args).deep.equals([['boom']]);
+      } finally {
+        config.onUnhandledError = onUnhandledError;
+      }
+    });
+  });
+
+  describe('Observable.of :', () => {
+
+    it('should emit its arguments synchronously then complete', () => {
+      let result = [];
+      Observable.of(1, 2, 3).subscribe({
+        next: val => result = [...result, val],
+        complete: () => result = [...result, '|']
+      });
+      expect(result).deep.equals([1, 2, 3, '|']);
+    });
+
+    it('should stop emitting once the subscription is closed', () => {
+      let result = [];
+      let subscription = null;
+      Observable.of(1, 2, 3).subscribe({
+        start: started => subscription = started,
+        next: val => {
+          result = [...result, val];
+          subscription.unsubscribe();
+        }
+      });
+      expect(result).deep.equals([1]);
+    });
+
+    it('should build an instance of the constructor it is called on', () => {
+      class Subclass extends Observable {
+      }
+      expect(Subclass.of(1)).instanceOf(Subclass);
+      expect(Observable.of.call({}, 1).constructor).equals(Observable);
+    });
+  });
+
+  describe('Observable.from :', () => {
+
+    it('should throw a TypeError on values it cannot convert', () => {
+      [null, undefined, 1, true].forEach(value => expect(() => Observable.from(value)).to.throw(TypeError));
+    });
+
+    it('should throw a TypeError when Symbol.observable does not return an object', () => {
+      expect(() => Observable.from({[symbolObservable]: () => 1})).to.throw(TypeError);
+    });
+
+    it('should return the result of Symbol.observable when its constructor is the one from is called on', () => {
+      const target = function () {
+      };
+      const result = {constructor: target};
+      expect(Observable.from.call(target, {[symbolObservable]: () => result})).equals(result);
+    });
+
+    it('should wrap the result of Symbol.observable in an instance of the constructor subscribing with an observer otherwise', () => {
+      const target = function (subscriber) {
+        this.subscriber = subscriber;
+      };
+      const subscribe = sinon.spy();
+      const wrapped = Observable.from.call(target, {[symbolObservable]: () => ({subscribe})});
+      expect(wrapped).instanceOf(target);
+      const observer = {next: sinon.spy(), error: sinon.spy(), complete: sinon.spy()};
+      wrapped.subscriber(observer);
+      const [[given]] = subscribe.args;
+      given.next(1);
+      given.error('boom');
+      given.complete();
+      expect([observer.next.args, observer.error.args, observer.complete.callCount]).deep.equals([[[1]], [['boom']], 1]);
+    });
+
+    it('should convert iterables into instances of the constructor it is called on', () => {
+      class Subclass extends Observable {
+      }
+      let result = [];
+      const converted = Subclass.from(new Set([1, 2]));
+      expect(converted).instanceOf(Subclass);
+      converted.subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([1, 2]);
+    });
+  });
+
+  describe('interop :', () => {
+
+    // a minimal implementation of the proposal, standing for a third-party library
+    class Foreign {
+      constructor(subscriber) {
+        this.subscriber = subscriber;
+      }
+
+      subscribe(observerOrNext, error, complete) {
+        const observer = typeof observerOrNext === 'function' ? {next: observerOrNext, error, complete} : observerOrNext;
+        let closed = false;
+        const cleanup = this.subscriber({
+          next: value => !closed && observer.next && observer.next(value),
+          error: err => !closed && observer.error && observer.error(err),
+          complete: () => {
+            closed = true;
+            return observer.complete && observer.complete();
+          },
+          get closed() {
+            return closed;
+          }
+        });
+        return {
+          unsubscribe: () => {
+            closed = true;
+            return cleanup && cleanup();
+          }
+        };
+      }
+
+      [symbolObservable]() {
+        return this;
+      }
+
+      static from(input) {
+        const observable = input[symbolObservable]();
+        return new Foreign(observer => {
+          const subscription = observable.subscribe(observer);
+          return () => subscription.unsubscribe();
+        });
+      }
+    }
+
+    it('should consume Observables of other implementations', () => {
+      const cleanup = sinon.spy();
+      let result = [];
+      Observable.from(new Foreign(observer => {
+        observer.next(1);
+        observer.next(2);
+        return cleanup;
+      })).take(1).subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([1]);
+      expect(cleanup.calledOnce).equals(true);
+    });
+
+    it('should be consumed by other implementations', () => {
+      const cleanup = sinon.spy();
+      let result = [];
+      const subscription = Foreign.from(new Observable(observer => {
+        observer.next(1);
+        return cleanup;
+      }).map(num => num * 10)).subscribe({next: val => result = [...result, val]});
+      subscription.unsubscribe();
+      expect(result).deep.equals([10]);
+      expect(cleanup.calledOnce).equals(true);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import {Observable} from './observable';
+import {Subscription} from './subscription';
+import {Subscriber} from './subscriber';
+
+// a connectable observable shares a single subscription to its source between all its subscribers:
+// they subscribe to a subject, and the source only starts pushing into it once connect is called
+
+/**
+ * An Observable multicasting its source through a subject, once connected.
+ *
+ * @param source {Observable}
+ * @param subjectFactory {Function} returns the subject to multicast through,
+ * called again once the previous subject stopped or the connection was closed
+ */
+export class ConnectableObservable extends Observable {
+  constructor(source, subjectFactory) {
+    super();
+    this.source = source;
+    this.subjectFactory = subjectFactory;
+    this._subject = null;
+    this._connection = null;
+    this._refCount = 0;
+  }
+
+  getSubject() {
+    if (!this._subject || this._subject.isStopped) {
+      this._subject = this.subjectFactory();
+    }
+    return this._subject;
+  }
+
+  _subscribe(subscriber) {
+    return this.getSubject().subscribe(subscriber);
+  }
+
+  /**
+   * Lifting shares the connection of this Observable rather than creating one, the result is a plain Observable.
+   *
+   * @param operator {Object} see Observable#lift
+   * @returns {Observable}
+   */
+  lift(operator) {
+    const observable = new Observable();
+    observable.source = this;
+    observable.operator = operator;
+    return observable;
+  }
+
+  /**
+   * Subscribes the subject to the source, unless it already is
+   * or the subject already stopped, in which case there is nothing left to share.
+   *
+   * @returns {Subscription} unsubscribe it to disconnect from the source
+   */
+  connect() {
+    if (this._connection) {
+      return this._connection;
+    }
+    const subject = this.getSubject();
+    if (subject.isStopped) {
+      return Subscription.EMPTY;
+    }
+    const connection = new Subscription(() => {
+      if (this._connection === connection) {
+        this._connection = null;
+        this._subject = null;
+      }
+    });
+    this._connection = connection;
+    // added before the source runs, so disconnecting stops a source emitting synchronously right away
+    const subscriber = connection.add(new Subscriber(
+      value => subject.next(value),
+      err => {
+        connection.unsubscribe();
+        subject.error(err);
+      },
+      () => {
+        connection.unsubscribe();
+        subject.complete();
+      }
+    ));
+    this.source.subscribe(subscriber);
+    return connection;
+  }
+
+  /**
+   * Connects when the first subscriber arrives and disconnects when the last one leaves.
+   *
+   * @returns {Observable}
+   */
+  refCount() {
+    return new Observable(subscriber => {
+      this._refCount++;
+      // added before connecting, so the last subscriber leaving disconnects a source emitting synchronously
+      subscriber.add(() => {
+        this._refCount--;
+        if (this._refCount === 0 && this._connection) {
+          this._connection.unsubscribe();
+        }
+      });
+      this.subscribe(subscriber);
+      if (!subscriber.closed) {
+        this.connect();
+      }
+    });
+  }
+}
@@ -0,0 +1,183 @@
+import {Subscriber} from './subscriber';
+import {DemandSubscriber} from './backpressure';
+import {pipe} from './pipe';
+import {take, last} from './operators';
+import {Queue} from './queue';
+import {ArgumentOutOfRangeError, BufferOverflowError} from './errors';
+
+// consumers turn an Observable into promises or async iterators, for async/await code:
+// each one subscribes when called and settles on the completion or the error of the Observable
+
+/**
+ * Resolves with the last value of source once it completes, undefined if there was none,
+ * rejects with its error.
+ *
+ * @param source {Observable}
+ * @returns {Promise}
+ */
+export const toPromise = (source) => new Promise((resolve, reject) => {
+  let lastValue;
+  source.subscribe(value => lastValue = value, reject, () => resolve(lastValue));
+});
+
+/**
+ * Calls next with each value of source, resolves once it completes, rejects with its error.
+ * An error thrown by next rejects as well, unsubscribing from source.
+ *
+ * @param source {Observable}
+ * @param next {Function}
+ * @returns {Promise}
+ */
+export const forEach = (source, next) => new Promise((resolve, reject) => {
+  const subscriber = new Subscriber(
+    value => {
+      try {
+        next(value);
+      } catch (err) {
+        subscriber.unsubscribe();
+        reject(err);
+      }
+    },
+    reject,
+    () => resolve()
+  );
+  source.subscribe(subscriber);
+});
+
+/**
+ * Resolves with the first value of source, unsubscribing from it.
+ * When source completes without value, resolves with defaultValue if given, rejects with an EmptyError otherwise.
+ *
+ * @param source {Observable}
+ * @param defaultValue optional
+ * @returns {Promise}
+ */
+export const firstValueFrom = (source, ...defaultValue) =>
+  toPromise(pipe(take(1), last(undefined, ...defaultValue))(source));
+
+/**
+ * Resolves with the last value of source once it completes.
+ * When it completes without value, resolves with defaultValue if given, rejects with an EmptyError otherwise.
+ *
+ * @param source {Observable}
+ * @param defaultValue optional
+ * @returns {Promise}
+ */
+export const lastValueFrom = (source, ...defaultValue) => toPromise(last(undefined, ...defaultValue)(source));
+
+const overflowStrategies = ['error', 'drop', 'latest'];
+
+/**
+ * Iterates source with for await: it is subscribed on the first call to next, in pull mode,
+ * each call to next requesting one value. Sources honoring demand, through map, filter and the other lifted operators,
+ * are pulled one value at a time. The values pushed by sources unaware of demand
+ * before the loop asks for them are buffered, up to bufferSize; strategy tells what a value arriving
+ * when the buffer is full does: 'error' rejects the next call to next with a BufferOverflowError
+ * once the buffered values were iterated, 'drop' drops that value and 'latest' drops the oldest buffered one.
+ * Breaking out of the loop calls return, which unsubscribes from source.
+ *
+ * @param source {Observable}
+ * @param bufferSize {Number} defaults to Infinity
+ * @param strategy {String} 'error', 'drop' or 'latest', defaults to 'error'
+ * @returns {Object} an async iterator
+ */
+export const toAsyncIterator = (source, {bufferSize = Infinity, strategy = 'error'} = {}) => {
+  if (!(bufferSize >= 0)) {
+    throw new ArgumentOutOfRangeError(`bufferSize expects a number of values, got ${bufferSize}`);
+  }
+  if (!overflowStrategies.includes(strategy)) {
+    throw new TypeError(`strategy expects one of ${overflowStrategies.join(', ')}, got ${strategy}`);
+  }
+  let subscriber = null;
+  const values = new Queue();
+  const waiting = new Queue();
+  let done = false;
+  let failed = false;
+  let error;
+
+  // answers the calls to next waiting for a value, the error or the end of source
+  const settle = () => {
+    while (waiting.length && (values.length || done)) {
+      const {resolve, reject} = waiting.dequeue();
+      if (values.length) {
+        resolve({value: values.dequeue(), done: false});
+      } else if (failed) {
+        failed = false;
+        reject(error);
+      } else {
+        resolve({value: undefined, done: true});
+      }
+    }
+  };
+
+  const fail = err => {
+    done = true;
+    failed = true;
+    error = err;
+    settle();
+  };
+
+  // a value no call to next is waiting for
+  const buffer = value => {
+    if (values.length < bufferSize) {
+      values.enqueue(value);
+    } else if (strategy === 'latest') {
+      if (values.length) {
+        values.dequeue();
+        values.enqueue(value);
+      }
+    } else if (strategy === 'error') {
+      subscriber.unsubscribe();
+      fail(new BufferOverflowError(`async iterator buffer overflow, more than ${bufferSize} values pending`));
+    }
+  };
+
+  const subscribe = () => {
+    subscriber = new DemandSubscriber(
+      value => {
+        if (waiting.length) {
+          values.enqueue(value);
+          settle();
+        } else {
+          buffer(value);
+        }
+      },
+      fail,
+      () => {
+        done = true;
+        settle();
+      }
+    );
+    source.subscribe(subscriber);
+  };
+
+  return {
+    next() {
+      if (!subscriber) {
+        subscribe();
+      }
+      const result = new Promise((resolve, reject) => waiting.enqueue({resolve, reject}));
+      if (values.length || done) {
+        settle();
+      } else {
+        subscriber.request(1);
+      }
+      return result;
+    },
+
+    return() {
+      if (subscriber) {
+        subscriber.unsubscribe();
+      }
+      done = true;
+      failed = false;
+      values.clear();
+      settle();
+      return Promise.resolve({value: undefined, done: true});
+    },
+
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+};
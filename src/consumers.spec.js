@@ -0,0 +1,217 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import {Observable, Subject, EmptyError, ArgumentOutOfRangeError, BufferOverflowError, firstValueFrom, lastValueFrom} from './rxjs';
+
+describe('Consumers', () => {
+
+  describe('toPromise :', () => {
+
+    it('should resolve with the last value once the source completes', () =>
+      Promise.all([Observable.of(1, 2, 3).toPromise(), Observable.empty().toPromise()])
+        .then(results => expect(results).deep.equals([3, undefined]))
+    );
+
+    it('should reject with the error of the source', () =>
+      Observable.throw('boom').toPromise().then(
+        () => expect.fail(),
+        err => expect(err).equals('boom')
+      )
+    );
+  });
+
+  describe('forEach :', () => {
+
+    it('should call next with each value and resolve once the source completes', () => {
+      let result = [];
+      return Observable.interval(1).take(3).forEach(val => result = [...result, val]).then(done => {
+        expect(done).equals(undefined);
+        expect(result).deep.equals([0, 1, 2]);
+      });
+    });
+
+    it('should reject with what next throws and unsubscribe from the source', () => {
+      const teardown = sinon.spy();
+      const source$ = new Observable(observer => {
+        observer.next(1);
+        observer.next(2);
+        return teardown;
+      });
+      let result = [];
+      return source$.forEach(val => {
+        result = [...result, val];
+        throw 'boom';
+      }).then(
+        () => expect.fail(),
+        err => {
+          expect(err).equals('boom');
+          expect(result).deep.equals([1]);
+          expect(teardown.calledOnce).equals(true);
+        }
+      );
+    });
+  });
+
+  describe('firstValueFrom / lastValueFrom :', () => {
+
+    it('should resolve with the first value and unsubscribe from the source', () => {
+      const teardown = sinon.spy();
+      const source$ = Observable.interval(1).finally(teardown);
+      expect(Observable.firstValueFrom).equals(firstValueFrom);
+      return firstValueFrom(source$).then(value => {
+        expect(value).equals(0);
+        expect(teardown.calledOnce).equals(true);
+      });
+    });
+
+    it('should resolve with the last value once the source completes', () => {
+      expect(Observable.lastValueFrom).equals(lastValueFrom);
+      return lastValueFrom(Observable.of(1, 2, 3)).then(value => expect(value).equals(3));
+    });
+
+    it('should resolve with the default value when the source completes without value', () =>
+      Promise.all([firstValueFrom(Observable.empty(), 'none'), lastValueFrom(Observable.empty(), null)])
+        .then(results => expect(results).deep.equals(['none', null]))
+    );
+
+    it('should reject with an EmptyError when the source completes without value nor default value', () =>
+      Promise.all([firstValueFrom, lastValueFrom].map(consume => consume(Observable.empty()).catch(err => err)))
+        .then(errors => errors.forEach(err => expect(err).instanceOf(EmptyError)))
+    );
+  });
+
+  describe('Symbol.asyncIterator :', () => {
+
+    // iterates like for await does, breaking out of the loop once until returns true
+    const iterate = (iterable, until = () => false) => {
+      const iterator = iterable[Symbol.asyncIterator]();
+      const loop = (result) => iterator.next().then(({value, done}) => {
+        if (done) {
+          return result;
+        }
+        if (until(value)) {
+          return iterator.return().then(() => [...result, value]);
+        }
+        return loop([...result, value]);
+      });
+      return loop([]);
+    };
+
+    it('should iterate the values of the source', () =>
+      iterate(Observable.from([1, 2, 3])).then(result => expect(result).deep.equals([1, 2, 3]))
+    );
+
+    it('should pull the values one at a time from sources honoring demand', () => {
+      let pulled = 0;
+      function* naturals() {
+        for (let i = 0; ; i++) {
+          pulled++;
+          yield i;
+        }
+      }
+      return iterate(Observable.from(naturals()), value => value === 2).then(result => {
+        expect(result).deep.equals([0, 1, 2]);
+        expect(pulled).equals(3);
+      });
+    });
+
+    it('should pull through map and filter, and stop pulling when breaking out of the loop', () => {
+      let pulled = 0;
+      function* naturals() {
+        for (let i = 0; ; i++) {
+          pulled++;
+          yield i;
+        }
+      }
+      const source$ = Observable.from(naturals()).map(value => value * 10).filter(value => value !== 10);
+      return iterate(source$, value => value === 20).then(result => {
+        expect(result).deep.equals([0, 20]);
+        expect(pulled).equals(3);
+      });
+    });
+
+    it('should unsubscribe from the source when breaking out of the loop', () => {
+      const teardown = sinon.spy();
+      return iterate(Observable.interval(1).finally(teardown), value => value === 1).then(result => {
+        expect(result).deep.equals([0, 1]);
+        expect(teardown.calledOnce).equals(true);
+      });
+    });
+
+    it('should reject the pending next with the error of the source', () => {
+      const iterator = Observable.of(1).concat(Observable.throw('boom'))[Symbol.asyncIterator]();
+      return iterator.next()
+        .then(first => {
+          expect(first).deep.equals({value: 1, done: false});
+          return iterator.next();
+        })
+        .then(
+          () => expect.fail(),
+          err => expect(err).equals('boom')
+        );
+    });
+
+    it('should buffer the values pushed faster than the loop consumes them', () => {
+      const subject = new Subject();
+      const iterator = subject[Symbol.asyncIterator]();
+      const first = iterator.next();
+      subject.next(1);
+      subject.next(2);
+      subject.next(3);
+      subject.complete();
+      return Promise.all([first, iterate({[Symbol.asyncIterator]: () => iterator})])
+        .then(([{value}, rest]) => expect([value, ...rest]).deep.equals([1, 2, 3]));
+    });
+
+    describe('bufferSize and strategy :', () => {
+
+      // pushes 1 to 4 while the loop waits for its first value, then completes
+      const pushed = (options) => {
+        const subject = new Subject();
+        const iterator = subject.toAsyncIterator(options);
+        const first = iterator.next();
+        [1, 2, 3, 4].forEach(value => subject.next(value));
+        subject.complete();
+        return Promise.all([first, iterate({[Symbol.asyncIterator]: () => iterator})])
+          .then(([{value}, rest]) => [value, ...rest]);
+      };
+
+      it('should drop the values arriving once the buffer is full with drop', () =>
+        pushed({bufferSize: 2, strategy: 'drop'}).then(result => expect(result).deep.equals([1, 2, 3]))
+      );
+
+      it('should drop the oldest buffered values with latest', () =>
+        pushed({bufferSize: 2, strategy: 'latest'}).then(result => expect(result).deep.equals([1, 3, 4]))
+      );
+
+      it('should unsubscribe and reject with a BufferOverflowError after the buffered values with error', () => {
+        const teardown = sinon.spy();
+        const subject = new Subject();
+        const iterator = subject.finally(teardown).toAsyncIterator({bufferSize: 1});
+        const first = iterator.next();
+        [1, 2, 3].forEach(value => subject.next(value));
+        return Promise.all([first, iterator.next(), iterator.next().catch(err => err)]).then(([one, two, err]) => {
+          expect([one.value, two.value]).deep.equals([1, 2]);
+          expect(err).instanceOf(BufferOverflowError);
+          expect(teardown.calledOnce).equals(true);
+        });
+      });
+
+      it('should reject invalid options', () => {
+        expect(() => Observable.of(1).toAsyncIterator({bufferSize: -1})).to.throw(ArgumentOutOfRangeError);
+        expect(() => Observable.of(1).toAsyncIterator({strategy: 'oldest'})).to.throw(TypeError);
+      });
+    });
+
+    it('should apply the policy of a backpressure operator to the values pushed faster than the loop consumes them', () => {
+      const subject = new Subject();
+      const iterator = subject.onBackpressureLatest()[Symbol.asyncIterator]();
+      const first = iterator.next();
+      subject.next(1);
+      subject.next(2);
+      subject.next(3);
+      subject.complete();
+      return Promise.all([first, iterate({[Symbol.asyncIterator]: () => iterator})])
+        .then(([{value}, rest]) => expect([value, ...rest]).deep.equals([1, 3]));
+    });
+  });
+});
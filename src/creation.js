@@ -0,0 +1,729 @@
+import {Observable} from './observable';
+import {Subscriber} from './subscriber';
+import {AsyncSubject} from './subject';
+import {Scheduler, async} from './scheduler';
+import {observable as symbolObservable} from './symbol';
+import {onDemand} from './backpressure';
+import {Queue} from './queue';
+import {map, mergeAll} from './operators';
+
+// creation operators build a new Observable out of values, promises or other Observables,
+// they are exposed as static methods of Observable by ./rxjs
+
+/**
+ * Static creation operators : of
+ * Emits the arguments you provide, then completes.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/of.html } for examples.
+ *
+ * @param args
+ * @returns {Observable}
+ */
+export const of = (...args) => fromArray(args);
+
+/**
+ * Static creation operators : interval
+ * Emit numbers in sequence based on provided timeframe.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/interval.html } for examples.
+ *
+ * @param period {Number}
+ * @param scheduler {Scheduler}
+ * @returns {Observable}
+ */
+export const interval = (period, scheduler = async) => new Observable(observer => {
+  let count = 0;
+  let cancel = null;
+  const tick = () => {
+    cancel = scheduler.schedule(tick, period);
+    observer.next(count++);
+  };
+  cancel = scheduler.schedule(tick, period);
+  return () => cancel();
+});
+
+/**
+ * Static creation operators : fromArray
+ * Converts an array to an Observable.
+ * A DemandSubscriber only gets the values it requested.
+ *
+ * /!\ doesn't exist in Rxjs, so use from operators see below
+ * @see {@link https://www.learnrxjs.io/operators/creation/from.html } for examples.
+ *
+ * @param args {Array}
+ * @returns {Observable}
+ */
+export const fromArray = (args = []) => new Observable(observer => {
+  let i = 0;
+  if (!args.length) {
+    observer.complete();
+    return;
+  }
+  onDemand(observer, () => {
+    observer.next(args[i++]);
+    if (i === args.length) {
+      observer.complete();
+    }
+    return true;
+  });
+});
+
+/**
+ * Static creation operators : fromPromise
+ * Converts an promise to an Observable.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/frompromise.html } for examples.
+ *
+ * @param promise {Promise}
+ * @returns {Observable}
+ */
+export const fromPromise = (promise = {}) => new Observable(observer => {
+  promise.then(
+    value => {
+      observer.next(value);
+      observer.complete();
+    },
+    err => observer.error(err)
+  );
+});
+
+/**
+ * Static creation operators : fromIterable
+ * Converts an iterable, such as a Set, a Map or a generator, to an Observable.
+ * Values are pulled one at a time and only while the subscriber is open,
+ * and only as many as it requested when it is a DemandSubscriber,
+ * which knows the iterable is done once it requests the value after the last one,
+ * unsubscribing early returns the iterator so generators run their finally blocks.
+ *
+ * @param iterable {Object} implements Symbol.iterator
+ * @returns {Observable}
+ */
+export const fromIterable = (iterable) => new Observable(observer => {
+  const iterator = iterable[Symbol.iterator]();
+  let done = false;
+  onDemand(observer, () => {
+    const step = iterator.next();
+    if (step.done) {
+      done = true;
+      observer.complete();
+      return false;
+    }
+    observer.next(step.value);
+    return true;
+  });
+  return () => !done && typeof iterator.return === 'function' && iterator.return();
+});
+
+/**
+ * Static creation operators : fromAsyncIterable
+ * Converts an async iterable, such as a readline interface, to an Observable.
+ * The next value is only requested once the previous one was emitted,
+ * unsubscribing early returns the iterator.
+ *
+ * @param asyncIterable {Object} implements Symbol.asyncIterator
+ * @returns {Observable}
+ */
+export const fromAsyncIterable = (asyncIterable) => new Observable(observer => {
+  const iterator = asyncIterable[Symbol.asyncIterator]();
+  let done = false;
+  const pull = () => iterator.next().then(
+    step => {
+      if (observer.closed) {
+        return;
+      }
+      if (step.done) {
+        done = true;
+        observer.complete();
+        return;
+      }
+      observer.next(step.value);
+      pull();
+    },
+    err => {
+      done = true;
+      observer.error(err);
+    }
+  );
+  pull();
+  return () => !done && typeof iterator.return === 'function' && iterator.return();
+});
+
+// the Subscriber an operator subscribes to a source with: it is added to the operator's own subscriber
+// before the source runs, so closing the latter stops a source emitting synchronously right away
+export const innerSubscriber = (observer, next, error, complete) => observer.add(new Subscriber(next, error, complete));
+
+// the ES Observable proposal builds the results of of and from with the constructor they are called on:
+// observable is returned as is when it was built by constructor, otherwise wrapped in an instance of constructor.
+// Subjects and other subclasses are Observables already. Subscribers are callable,
+// other implementations would take one for a next callback: they are given a plain observer instead
+export const constructWith = (constructor, observable) =>
+  observable.constructor === constructor || constructor === Observable && observable instanceof Observable
+    ? observable
+    : new constructor(observer => observable.subscribe(observable instanceof Observable ? observer : {
+      next: value => observer.next(value),
+      error: err => observer.error(err),
+      complete: () => observer.complete()
+    }));
+
+// converts an Observable of any implementation exposing Symbol.observable
+const fromInterop = (interop, constructor) => {
+  const observable = interop[symbolObservable]();
+  if (observable === null || typeof observable !== 'object' && typeof observable !== 'function') {
+    throw new TypeError(`${observable} is not an Observable`);
+  }
+  return constructWith(constructor, observable);
+};
+
+const isArrayLike = (input) => input != null && typeof input === 'object' && typeof input.length === 'number';
+
+/**
+ * Static creation operators : from
+ * Converts almost anything to an Observable: Observables of any implementation exposing Symbol.observable,
+ * promises, arrays and array-likes such as arguments, iterables and async iterables.
+ * Observables built by constructor are returned as is.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/from.html } for examples.
+ *
+ * @param input
+ * @param constructor {Function} optional, the class of the result, Observable by default
+ * @returns {Observable}
+ */
+export const from = (input, constructor = Observable) => {
+  if (input != null && typeof input[symbolObservable] === 'function') {
+    return fromInterop(input, constructor);
+  }
+  if (input && typeof input.then === 'function') {
+    return constructWith(constructor, fromPromise(input));
+  }
+  if (Array.isArray(input) || isArrayLike(input) && typeof input[Symbol.iterator] !== 'function') {
+    return constructWith(constructor, fromArray(input));
+  }
+  if (input != null && typeof input[Symbol.iterator] === 'function') {
+    return constructWith(constructor, fromIterable(input));
+  }
+  if (input != null && typeof Symbol.asyncIterator === 'symbol' && typeof input[Symbol.asyncIterator] === 'function') {
+    return constructWith(constructor, fromAsyncIterable(input));
+  }
+  throw new TypeError(`${input} is not observable`);
+};
+
+// event handlers and callbacks called with several arguments emit them as an array
+const argsValue = (args) => args.length > 1 ? args : args[0];
+
+/**
+ * Static creation operators : fromEvent
+ * Emits the events of eventName dispatched by target,
+ * a DOM EventTarget, a node EventEmitter or any object with on and off methods.
+ * The listener is removed on unsubscribe.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/fromevent.html } for examples.
+ *
+ * @param target {EventTarget|EventEmitter}
+ * @param eventName {String}
+ * @param options {Object} optional, passed to addEventListener and removeEventListener
+ * @returns {Observable}
+ */
+export const fromEvent = (target, eventName, options) => new Observable(observer => {
+  const handler = (...args) => observer.next(argsValue(args));
+  if (target && typeof target.addEventListener === 'function') {
+    target.addEventListener(eventName, handler, options);
+    return () => target.removeEventListener(eventName, handler, options);
+  }
+  if (target && typeof target.addListener === 'function') {
+    target.addListener(eventName, handler);
+    return () => target.removeListener(eventName, handler);
+  }
+  if (target && typeof target.on === 'function') {
+    target.on(eventName, handler);
+    return () => target.off(eventName, handler);
+  }
+  throw new TypeError(`${target} is not an event target`);
+});
+
+/**
+ * Static creation operators : fromEventPattern
+ * Emits the events of any API registering handlers through a function.
+ *
+ * @param addHandler {Function} called with the handler on subscribe
+ * @param removeHandler {Function} optional, called on unsubscribe with the handler
+ * and whatever addHandler returned
+ * @returns {Observable}
+ */
+export const fromEventPattern = (addHandler, removeHandler) => new Observable(observer => {
+  const handler = (...args) => observer.next(argsValue(args));
+  const signal = addHandler(handler);
+  if (removeHandler) {
+    return () => removeHandler(handler, signal);
+  }
+});
+
+// calls fn once with args followed by a callback, the first subscription triggers the call
+// and the result is kept in an AsyncSubject for later subscribers
+const bindTo = (fn, onCallback) => function (...args) {
+  let subject = null;
+  return new Observable(observer => {
+    if (!subject) {
+      subject = new AsyncSubject();
+      try {
+        fn.call(this, ...args, (...results) => onCallback(subject, results));
+      } catch (err) {
+        subject.error(err);
+      }
+    }
+    return subject.subscribe(observer);
+  });
+};
+
+/**
+ * Static creation operators : bindCallback
+ * Turns a function taking a callback as last argument into a function returning an Observable
+ * emitting the arguments of the callback, or an array of them when there are several, then completing.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/bindcallback.html } for examples.
+ *
+ * @param fn {Function} (...args, callback) => void
+ * @returns {Function} (...args) => Observable
+ */
+export const bindCallback = (fn) => bindTo(fn, (subject, results) => {
+  subject.next(argsValue(results));
+  subject.complete();
+});
+
+/**
+ * Static creation operators : bindNodeCallback
+ * Same as bindCallback for node style callbacks, which receive an error first:
+ * an error is sent to the error channel.
+ *
+ * @param fn {Function} (...args, (err, ...results) => void) => void
+ * @returns {Function} (...args) => Observable
+ */
+export const bindNodeCallback = (fn) => bindTo(fn, (subject, [err, ...results]) => {
+  if (err) {
+    subject.error(err);
+    return;
+  }
+  subject.next(argsValue(results));
+  subject.complete();
+});
+
+/**
+ * Static creation operators : range
+ * Emits count numbers in sequence from start, range(count) counts from 0.
+ * A DemandSubscriber only gets the numbers it requested.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/range.html } for examples.
+ *
+ * @param start {Number}
+ * @param count {Number}
+ * @returns {Observable}
+ */
+export const range = (start = 0, count) => {
+  const [first, length] = count === undefined ? [0, start] : [start, count];
+  return new Observable(observer => {
+    let i = 0;
+    if (length <= 0) {
+      observer.complete();
+      return;
+    }
+    onDemand(observer, () => {
+      observer.next(first + i++);
+      if (i >= length) {
+        observer.complete();
+      }
+      return true;
+    });
+  });
+};
+
+/**
+ * Static creation operators : timer
+ * Emits 0 once dueTime elapsed, or at dueTime when it is a Date, then completes,
+ * or keeps emitting the next numbers every period.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/timer.html } for examples.
+ *
+ * @param dueTime {Number|Date}
+ * @param period {Number} optional
+ * @param scheduler {Scheduler} may also replace period
+ * @returns {Observable}
+ */
+export const timer = (dueTime = 0, period, scheduler = async) => {
+  const [every, timerScheduler] = period instanceof Scheduler ? [undefined, period] : [period, scheduler];
+  return new Observable(observer => {
+    const delay = dueTime instanceof Date ? Math.max(0, dueTime.getTime() - timerScheduler.now()) : dueTime;
+    let count = 0;
+    let cancel = null;
+    const tick = () => {
+      if (every === undefined) {
+        observer.next(count);
+        observer.complete();
+        return;
+      }
+      cancel = timerScheduler.schedule(tick, every);
+      observer.next(count++);
+    };
+    cancel = timerScheduler.schedule(tick, delay);
+    return () => cancel();
+  });
+};
+
+/**
+ * Static creation operators : empty
+ * Completes right away, without emitting.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/empty.html } for examples.
+ *
+ * @returns {Observable}
+ */
+export const empty = () => new Observable(observer => observer.complete());
+
+/**
+ * Static creation operators : never
+ * Never emits, completes nor errors.
+ *
+ * @returns {Observable}
+ */
+export const never = () => new Observable(() => {});
+
+/**
+ * Static creation operators : throw, exported as throwError since throw is a reserved word
+ * Errors with error right away, without emitting.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/throw.html } for examples.
+ *
+ * @param error
+ * @returns {Observable}
+ */
+export const throwError = (error) => new Observable(observer => observer.error(error));
+
+/**
+ * Static creation operators : defer
+ * Calls factory on each subscription and subscribes to what it returns,
+ * anything from accepts, so every subscriber gets its own fresh Observable.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/defer.html } for examples.
+ *
+ * @param factory {Function} () => Observable|Promise|Array
+ * @returns {Observable}
+ */
+export const defer = (factory) => new Observable(observer => from(factory()).subscribe(observer));
+
+/**
+ * Static creation operators : iif
+ * Calls condition on each subscription and subscribes to trueResult when it returns true, to falseResult otherwise.
+ *
+ * @param condition {Function} () => Boolean
+ * @param trueResult {Observable} anything from accepts, empty by default
+ * @param falseResult {Observable} anything from accepts, empty by default
+ * @returns {Observable}
+ */
+export const iif = (condition, trueResult = empty(), falseResult = empty()) =>
+  defer(() => condition() ? trueResult : falseResult);
+
+/**
+ * Static creation operators : generate
+ * Emits the states of a loop: starting from initial, while condition holds, moving on with iterate.
+ * A DemandSubscriber only gets the values it requested.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/generate.html } for examples.
+ *
+ * @param initial the first state
+ * @param condition {Function} (state) => Boolean, the Observable completes once it is false
+ * @param iterate {Function} (state) => the next state
+ * @param selector {Function} optional, (state) => the value emitted
+ * @returns {Observable}
+ */
+export const generate = (initial, condition, iterate, selector = state => state) => new Observable(observer => {
+  let state = initial;
+  if (!condition(state)) {
+    observer.complete();
+    return;
+  }
+  onDemand(observer, () => {
+    observer.next(selector(state));
+    state = iterate(state);
+    if (!condition(state)) {
+      observer.complete();
+    }
+    return true;
+  });
+});
+
+/**
+ * Static creation operators : using
+ * Creates a resource for each subscriber along with an Observable depending on it,
+ * the resource is disposed once the Observable completes, errors or is unsubscribed.
+ *
+ * @param resourceFactory {Function} () => a Subscription, an object with an unsubscribe method or a teardown function
+ * @param observableFactory {Function} (resource) => Observable, or anything from accepts
+ * @returns {Observable}
+ */
+export const using = (resourceFactory, observableFactory) => new Observable(observer => {
+  const resource = resourceFactory();
+  try {
+    from(observableFactory(resource)).subscribe(innerSubscriber(observer,
+      value => observer.next(value),
+      err => observer.error(err),
+      () => observer.complete()
+    ));
+  } catch (err) {
+    observer.error(err);
+  }
+  observer.add(resource && typeof resource.unsubscribe === 'function' ? () => resource.unsubscribe() : resource);
+});
+
+/**
+ * Combinations operators : concat
+ * Concatenates multiple Observables together by sequentially emitting their values, one Observable after the other.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/concat.html} for examples.
+ *
+ * @param args {Array}
+ * @returns {Observable}
+ */
+export const concat = (...observables) => new Observable(observer => {
+  const subscribeAt = (index) => {
+    if (index === observables.length) {
+      observer.complete();
+      return;
+    }
+    from(observables[index]).subscribe(innerSubscriber(observer,
+      value => observer.next(value),
+      err => observer.error(err),
+      () => subscribeAt(index + 1)
+    ));
+  };
+  subscribeAt(0);
+});
+
+// the combination operators accept their sources either as arguments or as a single array,
+// optionally followed by a result selector receiving one value per source
+export const combinationArgs = (args) => {
+  const resultSelector = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : undefined;
+  const rest = resultSelector ? args.slice(0, -1) : args;
+  const inputs = rest.length === 1 && Array.isArray(rest[0]) ? rest[0] : rest;
+  return {sources: inputs.map(input => from(input)), resultSelector};
+};
+
+// subscribes to every source, giving each callback the index of the source it comes from;
+// the sources are added to observer, which unsubscribes from all of them once it errors, completes or is unsubscribed
+export const subscribeToAll = (observer, sources, next, error, complete) => sources.forEach((source, index) => {
+  if (!observer.closed) {
+    source.subscribe(innerSubscriber(observer, value => next(value, index), error, () => complete(index)));
+  }
+});
+
+// emits the values through the result selector, or as an array when there is none
+export const emitCombined = (observer, resultSelector, values) => {
+  if (!resultSelector) {
+    observer.next(values);
+    return;
+  }
+  let result;
+  try {
+    result = resultSelector(...values);
+  } catch (err) {
+    observer.error(err);
+    return;
+  }
+  observer.next(result);
+};
+
+/**
+ * Combinations operators : merge
+ * Turns multiple Observables into a single one, emitting their values as they come.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/merge.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector applied to each value,
+ * or by the maximum number of concurrent subscriptions
+ * @returns {Observable}
+ */
+export const merge = (...observables) => {
+  const concurrent = typeof observables[observables.length - 1] === 'number' ? observables.pop() : Infinity;
+  const {sources, resultSelector} = combinationArgs(observables);
+  const merged$ = mergeAll(concurrent)(fromArray(sources));
+  return resultSelector ? map(resultSelector)(merged$) : merged$;
+};
+
+/**
+ * Combinations operators : combineLatest
+ * Once every Observable emitted, emits the latest value of each one whenever any of them emits.
+ * Completes when they all completed.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/combinelatest.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector
+ * @returns {Observable}
+ */
+export const combineLatest = (...observables) => {
+  const {sources, resultSelector} = combinationArgs(observables);
+  return new Observable(observer => {
+    if (!sources.length) {
+      observer.complete();
+      return;
+    }
+    let values = sources.map(() => undefined);
+    let hasValue = sources.map(() => false);
+    let completed = 0;
+    subscribeToAll(
+      observer,
+      sources,
+      (value, index) => {
+        values = Object.assign([...values], {[index]: value});
+        hasValue = Object.assign([...hasValue], {[index]: true});
+        if (hasValue.every(Boolean)) {
+          emitCombined(observer, resultSelector, values);
+        }
+      },
+      err => observer.error(err),
+      () => ++completed === sources.length && observer.complete()
+    );
+  });
+};
+
+/**
+ * Combinations operators : zip
+ * Emits an array made of the nth value of each Observable once they all emitted their nth value.
+ * Completes as soon as one of them completed and all of its values were paired.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/zip.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector
+ * @returns {Observable}
+ */
+export const zip = (...observables) => {
+  const {sources, resultSelector} = combinationArgs(observables);
+  return new Observable(observer => {
+    if (!sources.length) {
+      observer.complete();
+      return;
+    }
+    const buffers = sources.map(() => new Queue());
+    let completed = sources.map(() => false);
+    subscribeToAll(
+      observer,
+      sources,
+      (value, index) => {
+        buffers[index].enqueue(value);
+        if (buffers.every(buffer => buffer.length)) {
+          emitCombined(observer, resultSelector, buffers.map(buffer => buffer.dequeue()));
+          if (buffers.some((buffer, i) => completed[i] && !buffer.length)) {
+            observer.complete();
+          }
+        }
+      },
+      err => observer.error(err),
+      index => {
+        completed = Object.assign([...completed], {[index]: true});
+        if (!buffers[index].length) {
+          observer.complete();
+        }
+      }
+    );
+  });
+};
+
+/**
+ * Combinations operators : forkJoin
+ * Waits for every Observable to complete, then emits the last value of each one.
+ * Completes without emitting when one of them completed without a value.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/forkjoin.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector
+ * @returns {Observable}
+ */
+export const forkJoin = (...observables) => {
+  const {sources, resultSelector} = combinationArgs(observables);
+  return new Observable(observer => {
+    if (!sources.length) {
+      observer.complete();
+      return;
+    }
+    let values = sources.map(() => undefined);
+    let hasValue = sources.map(() => false);
+    let completed = 0;
+    subscribeToAll(
+      observer,
+      sources,
+      (value, index) => {
+        values = Object.assign([...values], {[index]: value});
+        hasValue = Object.assign([...hasValue], {[index]: true});
+      },
+      err => observer.error(err),
+      index => {
+        if (!hasValue[index]) {
+          observer.complete();
+          return;
+        }
+        if (++completed === sources.length) {
+          emitCombined(observer, resultSelector, values);
+          observer.complete();
+        }
+      }
+    );
+  });
+};
+
+/**
+ * Combinations operators : race
+ * Mirrors the first Observable to emit, unsubscribing from all the others.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/race.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector applied to each value
+ * @returns {Observable}
+ */
+export const race = (...observables) => {
+  const {sources, resultSelector} = combinationArgs(observables);
+  const race$ = new Observable(observer => {
+    let winner = -1;
+    const subscribers = [];
+    const win = index => {
+      if (winner === -1) {
+        winner = index;
+        subscribers.forEach((subscriber, i) => i !== index && subscriber.unsubscribe());
+      }
+      return winner === index;
+    };
+    sources.forEach((source, index) => {
+      if (winner !== -1 || observer.closed) {
+        return;
+      }
+      const subscriber = innerSubscriber(observer,
+        value => win(index) && observer.next(value),
+        err => win(index) && observer.error(err),
+        () => win(index) && observer.complete()
+      );
+      subscribers.push(subscriber);
+      source.subscribe(subscriber);
+    });
+  });
+  return resultSelector ? map(resultSelector)(race$) : race$;
+};
+
+/**
+ * Error handling operators : onErrorResumeNext
+ * Subscribes to each Observable after the previous one completed or errored, ignoring errors.
+ *
+ * @param observables {Array}
+ * @returns {Observable}
+ */
+export const onErrorResumeNext = (...observables) => {
+  const {sources} = combinationArgs(observables);
+  return new Observable(observer => {
+    const subscribeAt = (index) => {
+      if (index === sources.length) {
+        observer.complete();
+        return;
+      }
+      sources[index].subscribe(innerSubscriber(observer,
+        value => observer.next(value),
+        () => subscribeAt(index + 1),
+        () => subscribeAt(index + 1)
+      ));
+    };
+    subscribeAt(0);
+  });
+};
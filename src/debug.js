@@ -0,0 +1,151 @@
+import {async} from './scheduler';
+
+// the tracer is an opt-in debug mode: once enabled, Observable#subscribe reports every subscription to it,
+// so it can tell which operator subscribed to which, what went through each one and what is still running
+
+/**
+ * Records subscriptions and the notifications going through them.
+ */
+export class Tracer {
+  constructor() {
+    this.enabled = false;
+    this.logger = null;
+    this.scheduler = async;
+    this.maxEvents = Infinity;
+    this.reset();
+  }
+
+  /**
+   * Starts tracing the subscriptions made from now on.
+   *
+   * @param logger {Function} optional, called with each formatted event, console.log for instance
+   * @param scheduler {Scheduler} gives the time of each event, pass the TestScheduler in tests
+   * @param maxEvents {Number} optional, how many of the latest events to keep, all of them by default
+   */
+  enable({logger = null, scheduler = async, maxEvents = Infinity} = {}) {
+    this.enabled = true;
+    this.logger = logger;
+    this.scheduler = scheduler;
+    this.maxEvents = maxEvents;
+  }
+
+  /**
+   * Stops tracing new subscriptions, those already traced keep reporting their events.
+   */
+  disable() {
+    this.enabled = false;
+  }
+
+  /**
+   * Forgets every subscription and event recorded so far.
+   */
+  reset() {
+    this.records = [];
+    this.events = [];
+    this.nextId = 1;
+    this.stack = [];
+  }
+
+  /**
+   * Forgets the oldest events, keeping the latest count ones.
+   *
+   * @param count {Number}
+   */
+  trimEvents(count = 0) {
+    if (this.events.length > count) {
+      this.events.splice(0, this.events.length - count);
+    }
+  }
+
+  /**
+   * @returns {Array} the records of the subscriptions not unsubscribed yet,
+   * as {id, name, parentId, subscribedAt, closed}
+   */
+  activeSubscriptions() {
+    return this.records.filter(record => !record.closed);
+  }
+
+  /**
+   * Subscribes subscriber to observable, recording the subscription and every notification it gets.
+   * The parent of a subscription is the one whose producer or whose notification triggered it.
+   *
+   * @param observable {Observable}
+   * @param subscriber {Subscriber}
+   * @param subscribe {Function} runs the producer
+   */
+  trace(observable, subscriber, subscribe) {
+    const record = {
+      id: this.nextId++,
+      name: observable.operatorName || observable.constructor.name,
+      parentId: this.stack.length ? this.stack[this.stack.length - 1] : null,
+      subscribedAt: this.scheduler.now(),
+      closed: false
+    };
+    this.records.push(record);
+    this.log(record, 'subscribe');
+
+    const destination = subscriber.destination;
+    const notify = (kind, forward, payload) => {
+      this.log(record, kind, payload);
+      this.stack.push(record.parentId);
+      try {
+        forward();
+      } finally {
+        this.stack.pop();
+      }
+    };
+    subscriber.destination = {
+      next: value => notify('next', () => destination.next(value), {value}),
+      error: err => notify('error', () => destination.error(err), {error: err}),
+      complete: () => notify('complete', () => destination.complete())
+    };
+    subscriber.add(() => {
+      record.closed = true;
+      this.log(record, 'unsubscribe');
+    });
+
+    this.stack.push(record.id);
+    try {
+      subscribe();
+    } finally {
+      this.stack.pop();
+    }
+  }
+
+  log(record, kind, payload = {}) {
+    const event = Object.assign({time: this.scheduler.now(), id: record.id, name: record.name, kind}, payload);
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) {
+      this.trimEvents(this.maxEvents);
+    }
+    if (this.logger) {
+      this.logger(formatEvent(event));
+    }
+  }
+}
+
+// Observables are named rather than serialized, and values JSON can't represent are converted to strings
+const stringify = (value) => {
+  if (value && typeof value.subscribe === 'function') {
+    return `[${value.constructor.name}]`;
+  }
+  try {
+    return JSON.stringify(value);
+  } catch (err) {
+    return String(value);
+  }
+};
+
+/**
+ * @param event {Object} an event recorded by a Tracer
+ * @returns {String} such as "[40ms] #2 map next 4"
+ */
+export const formatEvent = ({time, id, name, kind, value, error}) => {
+  const payload = kind === 'next' ? ` ${stringify(value)}` : kind === 'error' ? ` ${error}` : '';
+  return `[${time}ms] #${id} ${name} ${kind}${payload}`;
+};
+
+/**
+ * The tracer Observable#subscribe reports to.
+ */
+export const tracer = new Tracer();
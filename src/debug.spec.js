@@ -0,0 +1,132 @@
+import {expect} from 'chai';
+import {Observable, tracer, formatEvent} from './rxjs';
+import {map, tag} from './operators';
+import {TestScheduler} from './testing';
+
+describe('Debug', () => {
+  let scheduler;
+  let lines;
+
+  beforeEach(() => {
+    scheduler = new TestScheduler((actual, expected) => expect(actual).deep.equal(expected));
+    lines = [];
+    tracer.reset();
+    tracer.enable({logger: line => lines = [...lines, line], scheduler});
+  });
+
+  afterEach(() => {
+    tracer.disable();
+    tracer.reset();
+  });
+
+  describe('tracer :', () => {
+
+    it('should not record anything until enabled', () => {
+      tracer.disable();
+      Observable.of(1, 2).map(num => num * 2).subscribe();
+      expect(tracer.records).deep.equals([]);
+      expect(tracer.events).deep.equals([]);
+    });
+
+    it('should keep only the latest maxEvents events, and the latest count ones once trimmed', () => {
+      tracer.enable({scheduler, maxEvents: 3});
+      Observable.of(1, 2).subscribe();
+      expect(tracer.events.map(({kind, value}) => [kind, value])).deep.equals([
+        ['next', 2], ['complete', undefined], ['unsubscribe', undefined]
+      ]);
+      tracer.trimEvents(1);
+      expect(tracer.events.map(({kind}) => kind)).deep.equals(['unsubscribe']);
+      expect(tracer.records.length).equals(1);
+    });
+
+    it('should record every subscription with its operator name and parent', () => {
+      Observable.interval(10, scheduler).map(num => num * 2).filter(num => num > 0).take(2).subscribe();
+      expect(tracer.records.map(({id, name, parentId}) => ({id, name, parentId}))).deep.equals([
+        {id: 1, name: 'take', parentId: null},
+        {id: 2, name: 'filter', parentId: 1},
+        {id: 3, name: 'map', parentId: 2},
+        {id: 4, name: 'interval', parentId: 3}
+      ]);
+    });
+
+    it('should log the notifications and unsubscriptions of each operator with their time', () => {
+      Observable.interval(10, scheduler).map(num => num * 2).filter(num => num > 0).take(2).subscribe();
+      scheduler.flush();
+      expect(lines.filter(line => / (filter|take) /.test(line))).deep.equals([
+        '[0ms] #1 take subscribe',
+        '[0ms] #2 filter subscribe',
+        '[20ms] #2 filter next 2',
+        '[20ms] #1 take next 2',
+        '[30ms] #2 filter next 4',
+        '[30ms] #1 take next 4',
+        '[30ms] #2 filter unsubscribe',
+        '[30ms] #1 take complete',
+        '[30ms] #1 take unsubscribe'
+      ]);
+    });
+
+    it('should log what each Observable sends to the operator subscribed to it', () => {
+      Observable.of(1, 2, 3).scan((sum, num) => sum + num).take(2).subscribe();
+      expect(lines.filter(line => / next /.test(line))).deep.equals([
+        '[0ms] #3 of next 1',
+        '[0ms] #2 scan next 1',
+        '[0ms] #1 take next 1',
+        '[0ms] #3 of next 2',
+        '[0ms] #2 scan next 3',
+        '[0ms] #1 take next 3'
+      ]);
+    });
+
+    it('should list the active subscriptions to catch leaks', () => {
+      const subscription = Observable.interval(10, scheduler).map(num => num).subscribe();
+      scheduler.schedule(() => {
+        expect(tracer.activeSubscriptions().map(record => record.name)).deep.equals(['map', 'interval']);
+        subscription.unsubscribe();
+      }, 50);
+      scheduler.flush();
+      expect(tracer.activeSubscriptions()).deep.equals([]);
+    });
+
+    it('should give inner subscriptions the operator that subscribed to them as parent', () => {
+      const source$ = scheduler.cold('-a-|');
+      const inner$ = scheduler.cold('-x-|');
+      source$.mergeMap(() => inner$).subscribe();
+      scheduler.flush();
+      const [mergeMap, outer, inner] = tracer.records;
+      expect(mergeMap.name).equals('mergeMap');
+      expect(outer.parentId).equals(mergeMap.id);
+      expect(inner.name).equals('ColdObservable');
+      expect(inner.parentId).equals(mergeMap.id);
+    });
+
+    it('should record errors', () => {
+      new Observable(observer => observer.error('boom')).tag('failing').subscribe({error: () => {}});
+      expect(lines).deep.equals([
+        '[0ms] #1 failing subscribe',
+        '[0ms] #2 Observable subscribe',
+        '[0ms] #2 Observable error boom',
+        '[0ms] #1 failing error boom',
+        '[0ms] #1 failing unsubscribe',
+        '[0ms] #2 Observable unsubscribe'
+      ]);
+    });
+  });
+
+  describe('tag :', () => {
+
+    it('should label a point of a piped chain and mirror its source', () => {
+      let result = [];
+      Observable.of(1, 2).pipe(map(num => num * 10), tag('tens')).subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([10, 20]);
+      expect(tracer.records.map(record => record.name)).deep.equals(['tens', 'Observable', 'of']);
+    });
+  });
+
+  describe('formatEvent :', () => {
+
+    it('should name Observables emitted as values', () => {
+      expect(formatEvent({time: 0, id: 1, name: 'window', kind: 'next', value: Observable.of(1)}))
+        .equals('[0ms] #1 window next [Observable]');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// babel can't subclass builtins, so every error restores its own prototype after super()
+
+/**
+ * Error thrown when an Observable completes without emitting the value an operator was waiting for.
+ */
+export class EmptyError extends Error {
+  constructor(message = 'no elements in sequence') {
+    super(message);
+    Object.setPrototypeOf(this, EmptyError.prototype);
+    this.name = 'EmptyError';
+    this.message = message;
+  }
+}
+
+/**
+ * Error thrown by Subscription#unsubscribe when one or more of its teardowns threw.
+ *
+ * @param errors {Array} every error thrown, flattened
+ */
+export class UnsubscriptionError extends Error {
+  constructor(errors) {
+    const message = `${errors.length} errors occurred during unsubscription:\n${
+      errors.map((err, i) => `${i + 1}) ${err.toString()}`).join('\n')}`;
+    super(message);
+    Object.setPrototypeOf(this, UnsubscriptionError.prototype);
+    this.name = 'UnsubscriptionError';
+    this.message = message;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error thrown when an argument, such as the index given to elementAt, is out of the range of the sequence.
+ */
+export class ArgumentOutOfRangeError extends Error {
+  constructor(message = 'argument out of range') {
+    super(message);
+    Object.setPrototypeOf(this, ArgumentOutOfRangeError.prototype);
+    this.name = 'ArgumentOutOfRangeError';
+    this.message = message;
+  }
+}
+
+/**
+ * Error thrown when an Observable emits more values than an operator such as single expects.
+ */
+export class SequenceError extends Error {
+  constructor(message = 'sequence contains more than one element') {
+    super(message);
+    Object.setPrototypeOf(this, SequenceError.prototype);
+    this.name = 'SequenceError';
+    this.message = message;
+  }
+}
+
+/**
+ * Error sent by onBackpressureBuffer when its buffer is full and no overflow strategy was given.
+ */
+export class BufferOverflowError extends Error {
+  constructor(message = 'backpressure buffer overflow') {
+    super(message);
+    Object.setPrototypeOf(this, BufferOverflowError.prototype);
+    this.name = 'BufferOverflowError';
+    this.message = message;
+  }
+}
+
+/**
+ * Error sent by ajax when the server answers with a status outside of 2xx, the request fails on the network,
+ * status is then 0, or the body of the response can't be parsed.
+ *
+ * @param message {String}
+ * @param request {Object} the normalized request
+ * @param response {AjaxResponse} null when no response was received
+ */
+export class AjaxError extends Error {
+  constructor(message, request, response = null) {
+    super(message);
+    Object.setPrototypeOf(this, AjaxError.prototype);
+    this.name = 'AjaxError';
+    this.message = message;
+    this.request = request;
+    this.response = response;
+    this.status = response ? response.status : 0;
+  }
+}
+
+/**
+ * Error sent by ajax when no response was received within the timeout of the request.
+ *
+ * @param request {Object} the normalized request
+ */
+export class AjaxTimeoutError extends AjaxError {
+  constructor(request) {
+    super(`ajax timeout after ${request.timeout}ms`, request);
+    Object.setPrototypeOf(this, AjaxTimeoutError.prototype);
+    this.name = 'AjaxTimeoutError';
+  }
+}
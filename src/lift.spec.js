@@ -0,0 +1,177 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import {Observable, Subject, Subscriber, DemandSubscriber, ConnectableObservable, tracer} from './rxjs';
+import {map, filter} from './operators';
+import {TestScheduler} from './testing';
+
+describe('lift', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new TestScheduler((actual, expected) => expect(actual).deep.equal(expected));
+  });
+
+  // an Operator and its Subscriber, the way operators are written with lift
+  class DoubleOperator {
+    call(subscriber, source) {
+      return source.subscribe(new DoubleSubscriber(subscriber));
+    }
+  }
+
+  class DoubleSubscriber extends Subscriber {
+    _next(value) {
+      this.destination.next(value * 2);
+    }
+  }
+
+  describe('Observable#lift :', () => {
+
+    it('should return an Observable with this one as source and the operator', () => {
+      const source$ = Observable.of(1);
+      const operator = new DoubleOperator();
+      const lifted$ = source$.lift(operator);
+      expect(lifted$).instanceOf(Observable);
+      expect(lifted$.source).equals(source$);
+      expect(lifted$.operator).equals(operator);
+    });
+
+    it('should subscribe to the source through the Subscriber of the operator', () => {
+      const source$ = scheduler.cold('-a-b-|', {a: 1, b: 2});
+      scheduler.expectObservable(source$.lift(new DoubleOperator())).toBe('-a-b-|', {a: 2, b: 4});
+      scheduler.expectSubscriptions(source$.subscriptions).toBe('^----!');
+      scheduler.flush();
+    });
+
+    it('should unsubscribe from the source when the subscriber unsubscribes', () => {
+      const teardown = sinon.spy();
+      const subscription = new Observable(() => teardown).lift(new DoubleOperator()).subscribe();
+      subscription.unsubscribe();
+      expect(teardown.calledOnce).equals(true);
+    });
+
+    it('should keep the class of subclasses, through map, filter and mapTo as well', () => {
+      class Subclass extends Observable {
+      }
+      let result = [];
+      const source$ = Subclass.of(1, 2, 3);
+      [source$.lift(new DoubleOperator()), source$.map(num => num), source$.filter(() => true), source$.mapTo(0)]
+        .forEach(lifted$ => expect(lifted$).instanceOf(Subclass));
+      source$.map(num => num * 10).filter(num => num > 10).subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([20, 30]);
+    });
+
+    it('should keep the class of subclasses through the other operators', () => {
+      class Subclass extends Observable {
+      }
+      const source$ = Subclass.of(1, 2, 3);
+      [
+        source$.take(1), source$.scan((sum, num) => sum + num), source$.skip(1), source$.takeWhile(() => true),
+        source$.distinctUntilChanged(), source$.pairwise(), source$.takeUntil(Observable.never()),
+        source$.mergeMap(num => Observable.of(num)), source$.toArray(), source$.retry(1)
+      ].forEach(lifted$ => expect(lifted$).instanceOf(Subclass));
+      let result = [];
+      source$.scan((sum, num) => sum + num).skip(1).take(1).subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([3]);
+    });
+
+    it('should pass demand through the operator Subscribers', () => {
+      let result = [];
+      const subscriber = new DemandSubscriber(val => result = [...result, val]);
+      Observable.range(1, 1e9).scan((sum, num) => sum + num).skip(1).takeWhile(sum => sum < 100).subscribe(subscriber);
+      subscriber.request(2);
+      expect(result).deep.equals([3, 6]);
+      subscriber.unsubscribe();
+    });
+
+    it('should lift subjects and connectable Observables into plain Observables', () => {
+      const subject = new Subject();
+      const connectable = new ConnectableObservable(Observable.of(1), () => new Subject());
+      let result = [];
+      [subject.map(num => num), connectable.map(num => num)]
+        .forEach(lifted$ => expect(lifted$.constructor).equals(Observable));
+      subject.map(num => num + 1).subscribe(val => result = [...result, val]);
+      subject.next(1);
+      expect(result).deep.equals([2]);
+    });
+  });
+
+  describe('map / filter fusion :', () => {
+
+    afterEach(() => {
+      tracer.disable();
+      tracer.reset();
+    });
+
+    it('should fuse adjacent map, filter and mapTo into a single operator on the first source', () => {
+      const source$ = scheduler.cold('-a-b-c-d-|', {a: 1, b: 2, c: 3, d: 4});
+      const fused$ = source$
+        .map(num => num * 10)
+        .filter(num => num > 10)
+        .map(num => num + 1)
+        .filter(num => num !== 31);
+      expect(fused$.source).equals(source$);
+      expect(fused$.operator.steps.map(step => step.kind)).deep.equals(['map', 'filter', 'map', 'filter']);
+      scheduler.expectObservable(fused$).toBe('---b---d-|', {b: 21, d: 41});
+      scheduler.expectObservable(source$.filter(num => num % 2).mapTo('x')).toBe('-x---x---|');
+      scheduler.flush();
+    });
+
+    it('should fuse the pipeable operators as well', () => {
+      const source$ = Observable.of(1, 2, 3);
+      const fused$ = source$.pipe(map(num => num * 2), filter(num => num > 2));
+      let result = [];
+      fused$.subscribe(val => result = [...result, val]);
+      expect(fused$.source).equals(source$);
+      expect(result).deep.equals([4, 6]);
+    });
+
+    it('should leave the intermediate Observables of a fused chain usable on their own', () => {
+      const source$ = Observable.of(1, 2);
+      const doubled$ = source$.map(num => num * 2);
+      const fused$ = doubled$.filter(num => num > 2);
+      let doubled = [];
+      let fused = [];
+      doubled$.subscribe(val => doubled = [...doubled, val]);
+      fused$.subscribe(val => fused = [...fused, val]);
+      expect(doubled).deep.equals([2, 4]);
+      expect(fused).deep.equals([4]);
+    });
+
+    it('should call each step with its thisArg', () => {
+      const context = {factor: 3, min: 4};
+      let result = [];
+      Observable.of(1, 2)
+        .map(function (num) {
+          return num * this.factor;
+        }, context)
+        .filter(function (num) {
+          return num > this.min;
+        }, context)
+        .subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([6]);
+    });
+
+    it('should not fuse operators created while the tracer is enabled', () => {
+      tracer.enable({scheduler});
+      const source$ = Observable.of(1);
+      const mapped$ = source$.map(num => num);
+      expect(mapped$.filter(() => true).source).equals(mapped$);
+    });
+
+    it('should lift sources of other implementations into Observables', () => {
+      const foreign = {
+        subscribe(observer) {
+          observer.next(1);
+          observer.next(2);
+          observer.complete();
+          return {unsubscribe() {}};
+        }
+      };
+      let result = [];
+      const mapped$ = map(num => num * 2)(foreign);
+      expect(mapped$).instanceOf(Observable);
+      mapped$.subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([2, 4]);
+    });
+  });
+});
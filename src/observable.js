@@ -0,0 +1,117 @@
+import {Subscriber} from './subscriber';
+import {Subscription} from './subscription';
+import {pipe} from './pipe';
+import {tracer} from './debug';
+import {observable as symbolObservable} from './symbol';
+
+// a producer may return a teardown function, a Subscription, or the subscription of another implementation
+const toTeardown = (teardown) => {
+  if (teardown == null || typeof teardown === 'function' || teardown instanceof Subscription) {
+    return teardown;
+  }
+  if (typeof teardown.unsubscribe === 'function') {
+    return () => teardown.unsubscribe();
+  }
+  throw new TypeError(`${teardown} is not a valid teardown`);
+};
+
+// an observable is a function that accepts a producer in parameter and has a subscribe method
+// a producer is a function that throws/produce values and accepts an observer
+// an observer is just an object that has 3 functions: next, error, complete
+// and listen to the value emitted  by the producer
+// the subscribe contract follows the ES Observable proposal, see ./conformance.spec
+// a lifted observable has no producer: subscribing runs its operator against its source instead
+export class Observable {
+  /**
+   * @param producer {Function} called with a Subscriber on each subscription,
+   * may return a teardown function or a subscription, of any implementation.
+   * Only subclasses implementing _subscribe may leave it out.
+   */
+  constructor(producer) {
+    if (producer !== undefined && typeof producer !== 'function') {
+      throw new TypeError(`${producer} is not a function`);
+    }
+    if (producer) {
+      this.producer = producer;
+    }
+  }
+
+  /**
+   * Runs the producer with a Subscriber forwarding to the given observer.
+   * A Subscriber given as observer is used as is.
+   * The start method of an observer is called with the subscription first,
+   * the producer doesn't run if start unsubscribed.
+   * Reports the subscription to the tracer once debug tracing is enabled.
+   *
+   * @param observerOrNext {Object|Function}
+   * @param error {Function}
+   * @param complete {Function}
+   * @returns {Subscription} also callable to unsubscribe
+   */
+  subscribe(observerOrNext, error, complete) {
+    const subscriber = observerOrNext instanceof Subscriber
+      ? observerOrNext
+      : new Subscriber(observerOrNext, error, complete);
+    if (subscriber !== observerOrNext && observerOrNext && typeof observerOrNext.start === 'function') {
+      observerOrNext.start(subscriber);
+      if (subscriber.closed) {
+        return subscriber;
+      }
+    }
+    if (tracer.enabled) {
+      // operator Subscribers, chained to another Subscriber, get the notifications through a plain one
+      // so that the trace shows what this Observable sends rather than what the operator forwards
+      const traced = subscriber.destination instanceof Subscriber ? new Subscriber(subscriber) : subscriber;
+      tracer.trace(this, traced, () => traced.add(this._trySubscribe(traced)));
+    } else {
+      subscriber.add(this._trySubscribe(subscriber));
+    }
+    return subscriber;
+  }
+
+  /**
+   * Applies the given pipeable operators to this Observable, from left to right.
+   *
+   * @param operators {Array} functions from an Observable to an Observable
+   * @returns {Observable}
+   */
+  pipe(...operators) {
+    return pipe(...operators)(this);
+  }
+
+  /**
+   * Creates an Observable of the same class whose subscribers subscribe to this one through operator,
+   * the way operators chain their Subscribers without wrapping each step in a producer.
+   *
+   * @param operator {Object} an Operator: call(subscriber, source) subscribes to source
+   * with a Subscriber forwarding to subscriber, and returns the subscription
+   * @returns {Observable}
+   */
+  lift(operator) {
+    const observable = new this.constructor();
+    observable.source = this;
+    observable.operator = operator;
+    return observable;
+  }
+
+  /**
+   * Interop point of the ES Observable proposal, other implementations convert this Observable through it.
+   *
+   * @returns {Observable} this
+   */
+  [symbolObservable]() {
+    return this;
+  }
+
+  _trySubscribe(subscriber) {
+    try {
+      return toTeardown(this.operator ? this.operator.call(subscriber, this.source) : this._subscribe(subscriber));
+    } catch (err) {
+      subscriber.error(err);
+    }
+  }
+
+  _subscribe(subscriber) {
+    return this.producer ? this.producer(subscriber) : undefined;
+  }
+}
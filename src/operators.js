@@ -0,0 +1,2268 @@
+import {Observable} from './observable';
+import {Subscriber, toObserver} from './subscriber';
+import {EmptyError, ArgumentOutOfRangeError, SequenceError, BufferOverflowError} from './errors';
+import {Subject, BehaviorSubject, ReplaySubject, AsyncSubject} from './subject';
+import {Scheduler, async} from './scheduler';
+import {ConnectableObservable} from './connectable';
+import {pipe} from './pipe';
+import {onDemand, pendingDemand} from './backpressure';
+import {Queue} from './queue';
+import {routeErrors} from './config';
+import {tracer} from './debug';
+import {
+  from,
+  fromArray,
+  interval,
+  concat as concatStatic,
+  merge as mergeStatic,
+  combineLatest as combineLatestStatic,
+  zip as zipStatic,
+  forkJoin as forkJoinStatic,
+  race as raceStatic,
+  onErrorResumeNext as onErrorResumeNextStatic,
+  combinationArgs,
+  subscribeToAll,
+  emitCombined,
+  constructWith,
+  innerSubscriber
+} from './creation';
+
+// pipeable operators take their arguments and return a function from a source Observable
+// to a new Observable, so they can be composed with pipe without patching Observable.prototype
+
+// operators are lifted, so their Observables keep the class of their source. Those handling each value
+// on their own, such as take or scan, subscribe with a Subscriber of their own, demand goes up through it;
+// the others, subscribing to more than their source or scheduling work, run a producer with the subscriber.
+// map, filter and mapTo go further: a run of them, such as source.map(f).filter(g).map(h),
+// is fused into a single operator, one Subscriber applying every step in a single pass.
+// While the tracer is enabled each one stays its own operator, so traces keep one subscription per operator
+
+/**
+ * An Operator applying a run of map and filter steps, each step being {kind: 'map'|'filter', fn, thisArg}.
+ *
+ * @param steps {Array}
+ */
+class FusedOperator {
+  constructor(steps) {
+    this.steps = steps;
+  }
+
+  call(subscriber, source) {
+    return source.subscribe(new FusedSubscriber(subscriber, this.steps));
+  }
+}
+
+class FusedSubscriber extends Subscriber {
+  constructor(destination, steps) {
+    super(destination);
+    this.steps = steps;
+  }
+
+  _next(value) {
+    let result = value;
+    for (let i = 0; i < this.steps.length; i++) {
+      const {kind, fn, thisArg} = this.steps[i];
+      if (kind === 'map') {
+        result = fn.call(thisArg, result);
+      } else if (!fn.call(thisArg, result)) {
+        return;
+      }
+    }
+    this.destination.next(result);
+  }
+}
+
+// sources of other implementations are wrapped first, they get plain observers rather than Subscribers
+const lift = (source, operator) => (source instanceof Observable ? source : constructWith(Observable, source)).lift(operator);
+
+// the Operator of the operators subscribing to more than their source, or scheduling work:
+// their producer runs with the subscriber, and their Observables keep the class of their source all the same
+class ProducerOperator {
+  constructor(producer) {
+    this.producer = producer;
+  }
+
+  call(subscriber) {
+    return this.producer(subscriber);
+  }
+}
+
+const operate = (source, producer) => lift(source, new ProducerOperator(producer));
+
+// the Operator of the operators handling each value with a Subscriber of their own, such as take or scan:
+// it subscribes to the source with new SubscriberClass(subscriber, ...args)
+class SubscriberOperator {
+  constructor(SubscriberClass, args) {
+    this.SubscriberClass = SubscriberClass;
+    this.args = args;
+  }
+
+  call(subscriber, source) {
+    return source.subscribe(new this.SubscriberClass(subscriber, ...this.args));
+  }
+}
+
+const liftSubscriber = (source, SubscriberClass, ...args) => lift(source, new SubscriberOperator(SubscriberClass, args));
+
+const fuse = (source, step) => source.operator instanceof FusedOperator && !tracer.enabled
+  ? lift(source.source, new FusedOperator([...source.operator.steps, step]))
+  : lift(source, new FusedOperator([step]));
+
+/**
+ * Transformation operators : map
+ * Apply a projection to each value and emits that projection in the returned observable
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/map.html } for examples.
+
+ * @param projection
+ * @param thisArgs: an optional argument to define what this is in the project function
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const map = (projection, thisArgs) => source => fuse(source, {kind: 'map', fn: projection, thisArg: thisArgs});
+
+/**
+ * Filtering operators : filter
+ * only emits a value from the source if it passes a criterion function.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/filter.html } for examples.
+
+ * @param predicate
+ * @param thisArgs: an optional argument to define what this is in the project function
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const filter = (predicate, thisArgs) => source =>
+  fuse(source, {kind: 'filter', fn: predicate, thisArg: thisArgs});
+
+/**
+ * Transformation operators : mapTo
+ * Maps every value to the same value every time
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/mapto.html } for examples.
+ *
+ * @param constant
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const mapTo = (constant) => map(() => constant);
+
+/**
+ * Transformation operators : tap, also exported as do
+ * Transparently perform actions or side-effects, such as logging.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/utility/do.html } for examples.
+ *
+ * @param next
+ * @param error
+ * @param complete
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const tap = (next, error, complete) => source => {
+  const spy = toObserver(next, error, complete);
+  return operate(source, observer => source.subscribe(innerSubscriber(observer,
+    value => routeErrors(observer, () => {
+      spy.next(value);
+      observer.next(value);
+    }),
+    err => routeErrors(observer, () => {
+      spy.error(err);
+      observer.error(err);
+    }),
+    () => routeErrors(observer, () => {
+      spy.complete();
+      observer.complete();
+    })
+  )));
+};
+
+export {tap as do};
+
+/**
+ * Utility operators : tag
+ * Mirrors the source under name, so this point of the chain can be told apart in debug traces.
+ *
+ * @param name {String}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const tag = (name) => source => Object.assign(operate(source, observer => source.subscribe(innerSubscriber(observer,
+  value => observer.next(value),
+  err => observer.error(err),
+  () => observer.complete()
+))), {operatorName: name});
+
+/**
+ * Combinations operators : startWith
+ * Emit given value first
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/startwith.html} for examples.
+ *
+ * @param args {Array}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const startWith = (...args) => source => concatStatic(fromArray(args), source);
+
+/**
+ * Combinations operators : concat
+ * Emits the values of the source, then those of each Observable once the previous one completed.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/concat.html} for examples.
+ *
+ * @param observables {Array}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const concat = (...observables) => source => concatStatic(source, ...observables);
+
+class TakeSubscriber extends Subscriber {
+  constructor(destination, count) {
+    super(destination);
+    this.count = count;
+    this.taken = 0;
+  }
+
+  // counted before emitting, a value sent again from next is over count already
+  _next(value) {
+    if (++this.taken > this.count) {
+      return;
+    }
+    this.destination.next(value);
+    if (this.taken === this.count) {
+      this.unsubscribe();
+      this.destination.complete();
+    }
+  }
+}
+
+/**
+ * Filtering operators : take
+ * Takes the first count values from the source, then completes.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/take.html } for examples.
+ *
+ * @param count {Number}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const take = (count) => source => count > 0
+  ? liftSubscriber(source, TakeSubscriber, count)
+  : operate(source, observer => observer.complete());
+
+/**
+ * Filtering operators : first
+ * Emits only the first value. Or emits only the first value that passes some test.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/first.html } for examples.
+ *
+ * @param predicate {Function}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const first = (predicate = () => true) => source => operate(source, observer => {
+  const subscriber = innerSubscriber(observer,
+    value => {
+      if (predicate(value)) {
+        subscriber.unsubscribe();
+        observer.next(value);
+        observer.complete();
+      }
+    },
+    err => observer.error(err),
+    () => observer.error(new EmptyError())
+  );
+  return source.subscribe(subscriber);
+});
+
+class SkipSubscriber extends Subscriber {
+  constructor(destination, count) {
+    super(destination);
+    this.count = count;
+    this.index = 0;
+  }
+
+  _next(value) {
+    if (this.index++ >= this.count) {
+      this.destination.next(value);
+    }
+  }
+}
+
+/**
+ * Filtering operators : skip
+ * Returns an Observable that skips n items emitted by an Observable.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/skip.html } for examples.
+ *
+ * @param the {Function}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const skip = (the) => source => liftSubscriber(source, SkipSubscriber, the);
+
+/**
+ * Filtering operators : takeUntil
+ * Emits the source values until notifier emits, then completes.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/takeuntil.html } for examples.
+ *
+ * @param notifier {Observable} anything Observable.from accepts
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const takeUntil = (notifier) => source => operate(source, observer => {
+  from(notifier).subscribe(innerSubscriber(observer,
+    () => observer.complete(),
+    err => observer.error(err)
+  ));
+  if (!observer.closed) {
+    source.subscribe(innerSubscriber(observer,
+      value => observer.next(value),
+      err => observer.error(err),
+      () => observer.complete()
+    ));
+  }
+});
+
+class TakeWhileSubscriber extends Subscriber {
+  constructor(destination, predicate) {
+    super(destination);
+    this.predicate = predicate;
+    this.index = 0;
+  }
+
+  _next(value) {
+    if (this.predicate(value, this.index++)) {
+      this.destination.next(value);
+    } else {
+      this.unsubscribe();
+      this.destination.complete();
+    }
+  }
+}
+
+/**
+ * Filtering operators : takeWhile
+ * Emits the source values while they pass predicate, completes on the first one that does not.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/takewhile.html } for examples.
+ *
+ * @param predicate {Function} called with the value and its index
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const takeWhile = (predicate) => source => liftSubscriber(source, TakeWhileSubscriber, predicate);
+
+class SkipWhileSubscriber extends Subscriber {
+  constructor(destination, predicate) {
+    super(destination);
+    this.predicate = predicate;
+    this.index = 0;
+    this.skipping = true;
+  }
+
+  _next(value) {
+    this.skipping = this.skipping && this.predicate(value, this.index++);
+    if (!this.skipping) {
+      this.destination.next(value);
+    }
+  }
+}
+
+/**
+ * Filtering operators : skipWhile
+ * Skips the source values while they pass predicate, then emits all of them.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/skipwhile.html } for examples.
+ *
+ * @param predicate {Function} called with the value and its index
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const skipWhile = (predicate) => source => liftSubscriber(source, SkipWhileSubscriber, predicate);
+
+/**
+ * Filtering operators : skipUntil
+ * Skips the source values until notifier emits.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/skipuntil.html } for examples.
+ *
+ * @param notifier {Observable} anything Observable.from accepts
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const skipUntil = (notifier) => source => operate(source, observer => {
+  let skipping = true;
+  const notifierSubscriber = innerSubscriber(observer,
+    () => {
+      skipping = false;
+      notifierSubscriber.unsubscribe();
+    },
+    err => observer.error(err)
+  );
+  observer.add(from(notifier).subscribe(notifierSubscriber));
+  source.subscribe(innerSubscriber(observer,
+    value => !skipping && observer.next(value),
+    err => observer.error(err),
+    () => observer.complete()
+  ));
+});
+
+class DistinctUntilChangedSubscriber extends Subscriber {
+  constructor(destination, compare, keySelector) {
+    super(destination);
+    this.compare = compare;
+    this.keySelector = keySelector;
+    this.hasKey = false;
+    this.previousKey = undefined;
+  }
+
+  _next(value) {
+    let key;
+    let changed;
+    try {
+      key = this.keySelector(value);
+      changed = !this.hasKey || !this.compare(this.previousKey, key);
+    } catch (err) {
+      this.error(err);
+      return;
+    }
+    this.hasKey = true;
+    this.previousKey = key;
+    if (changed) {
+      this.destination.next(value);
+    }
+  }
+}
+
+/**
+ * Filtering operators : distinctUntilChanged
+ * Only emits a value when it differs from the previous one.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/distinctuntilchanged.html } for examples.
+ *
+ * @param compare {Function} optional, (previous, current) => true when the keys are equal, defaults to ===
+ * @param keySelector {Function} optional, maps each value to the key compared
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const distinctUntilChanged = (compare = (a, b) => a === b, keySelector = value => value) => source =>
+  liftSubscriber(source, DistinctUntilChangedSubscriber, compare, keySelector);
+
+/**
+ * Filtering operators : distinct
+ * Only emits the values whose key was never emitted before.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/distinct.html } for examples.
+ *
+ * @param keySelector {Function} optional, maps each value to the key compared
+ * @param flushes {Observable} optional, forgets every key emitted so far each time it emits
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const distinct = (keySelector = value => value, flushes) => source => operate(source, observer => {
+  let keys = new Set();
+  if (flushes) {
+    from(flushes).subscribe(innerSubscriber(observer, () => keys = new Set(), err => observer.error(err)));
+  }
+  source.subscribe(innerSubscriber(observer,
+    value => {
+      let key;
+      try {
+        key = keySelector(value);
+      } catch (err) {
+        observer.error(err);
+        return;
+      }
+      if (!keys.has(key)) {
+        keys.add(key);
+        observer.next(value);
+      }
+    },
+    err => observer.error(err),
+    () => observer.complete()
+  ));
+});
+
+/**
+ * Filtering operators : takeLast
+ * Emits the last count values once the source completes.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/takelast.html } for examples.
+ *
+ * @param count {Number}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const takeLast = (count) => source => operate(source, observer => {
+  const values = new Queue();
+  return source.subscribe(innerSubscriber(observer,
+    value => {
+      values.enqueue(value);
+      if (values.length > count) {
+        values.dequeue();
+      }
+    },
+    err => observer.error(err),
+    () => {
+      while (values.length && !observer.closed) {
+        observer.next(values.dequeue());
+      }
+      observer.complete();
+    }
+  ));
+});
+
+/**
+ * Filtering operators : last
+ * Emits the last value, or the last value passing predicate, once the source completes.
+ * Errors with an EmptyError when there is no such value and no default value was given.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/last.html } for examples.
+ *
+ * @param predicate {Function} optional, called with the value and its index
+ * @param defaultValue optional, emitted when no value passed predicate
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const last = (predicate = () => true, ...defaultValue) => source => operate(source, observer => {
+  let index = 0;
+  let found = false;
+  let lastValue;
+  return source.subscribe(innerSubscriber(observer,
+    value => {
+      if (predicate(value, index++)) {
+        found = true;
+        lastValue = value;
+      }
+    },
+    err => observer.error(err),
+    () => {
+      if (!found && !defaultValue.length) {
+        observer.error(new EmptyError());
+        return;
+      }
+      observer.next(found ? lastValue : defaultValue[0]);
+      observer.complete();
+    }
+  ));
+});
+
+/**
+ * Filtering operators : elementAt
+ * Emits only the value at index, then completes.
+ * Errors with an ArgumentOutOfRangeError when the source completes before and no default value was given.
+ *
+ * @param index {Number} throws an ArgumentOutOfRangeError right away when negative
+ * @param defaultValue optional, emitted when the source completes before index
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const elementAt = (index, ...defaultValue) => {
+  if (index < 0) {
+    throw new ArgumentOutOfRangeError();
+  }
+  return source => operate(source, observer => {
+    let current = 0;
+    const subscriber = innerSubscriber(observer,
+      value => {
+        if (current++ === index) {
+          subscriber.unsubscribe();
+          observer.next(value);
+          observer.complete();
+        }
+      },
+      err => observer.error(err),
+      () => {
+        if (!defaultValue.length) {
+          observer.error(new ArgumentOutOfRangeError());
+          return;
+        }
+        observer.next(defaultValue[0]);
+        observer.complete();
+      }
+    );
+    return source.subscribe(subscriber);
+  });
+};
+
+/**
+ * Filtering operators : single
+ * Emits the only value, or the only value passing predicate, once the source completes.
+ * Errors with a SequenceError as soon as a second one arrives, or with an EmptyError when there is none.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/single.html } for examples.
+ *
+ * @param predicate {Function} optional, called with the value and its index
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const single = (predicate = () => true) => source => operate(source, observer => {
+  let index = 0;
+  let found = false;
+  let singleValue;
+  const subscriber = innerSubscriber(observer,
+    value => {
+      if (!predicate(value, index++)) {
+        return;
+      }
+      if (found) {
+        subscriber.unsubscribe();
+        observer.error(new SequenceError());
+        return;
+      }
+      found = true;
+      singleValue = value;
+    },
+    err => observer.error(err),
+    () => {
+      if (!found) {
+        observer.error(new EmptyError());
+        return;
+      }
+      observer.next(singleValue);
+      observer.complete();
+    }
+  );
+  return source.subscribe(subscriber);
+});
+
+/**
+ * Filtering operators : ignoreElements
+ * Ignores every value, only mirroring the completion or the error of the source.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/ignoreelements.html } for examples.
+ *
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const ignoreElements = () => source => operate(source, observer => source.subscribe(innerSubscriber(observer,
+  () => {},
+  err => observer.error(err),
+  () => observer.complete()
+)));
+
+/**
+ * Conditional operators : every
+ * Emits whether every value passes predicate: false as soon as one does not, unsubscribing from the source,
+ * true once the source completes.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/conditional/every.html } for examples.
+ *
+ * @param predicate {Function} called with the value and its index
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const every = (predicate) => source => operate(source, observer => {
+  let index = 0;
+  const subscriber = innerSubscriber(observer,
+    value => {
+      if (!predicate(value, index++)) {
+        subscriber.unsubscribe();
+        observer.next(false);
+        observer.complete();
+      }
+    },
+    err => observer.error(err),
+    () => {
+      observer.next(true);
+      observer.complete();
+    }
+  );
+  return source.subscribe(subscriber);
+});
+
+// shared by find and findIndex: emits what found returns for the first value passing predicate,
+// unsubscribing from the source, or what found returns for no value when the source completes first
+const findBy = (source, predicate, found) => operate(source, observer => {
+  let index = 0;
+  const subscriber = innerSubscriber(observer,
+    value => {
+      if (predicate(value, index)) {
+        subscriber.unsubscribe();
+        observer.next(found(value, index));
+        observer.complete();
+      }
+      index++;
+    },
+    err => observer.error(err),
+    () => {
+      observer.next(found(undefined, -1));
+      observer.complete();
+    }
+  );
+  return source.subscribe(subscriber);
+});
+
+/**
+ * Filtering operators : find
+ * Emits the first value passing predicate then completes, unsubscribing from the source,
+ * or emits undefined when the source completes first.
+ *
+ * @param predicate {Function} called with the value and its index
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const find = (predicate) => source => findBy(source, predicate, value => value);
+
+/**
+ * Filtering operators : findIndex
+ * Emits the index of the first value passing predicate then completes, unsubscribing from the source,
+ * or emits -1 when the source completes first.
+ *
+ * @param predicate {Function} called with the value and its index
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const findIndex = (predicate) => source => findBy(source, predicate, (value, index) => index);
+
+/**
+ * Conditional operators : isEmpty
+ * Emits false as soon as the source emits, unsubscribing from it, or true when it completes without value.
+ *
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const isEmpty = () => source => every(() => false)(source);
+
+/**
+ * Conditional operators : defaultIfEmpty
+ * Mirrors the source, emitting defaultValue before completing when the source completes without value.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/conditional/defaultifempty.html } for examples.
+ *
+ * @param defaultValue defaults to null
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const defaultIfEmpty = (defaultValue = null) => source => operate(source, observer => {
+  let empty = true;
+  return source.subscribe(innerSubscriber(observer,
+    value => {
+      empty = false;
+      observer.next(value);
+    },
+    err => observer.error(err),
+    () => {
+      if (empty) {
+        observer.next(defaultValue);
+      }
+      observer.complete();
+    }
+  ));
+});
+
+/**
+ * Conditional operators : sequenceEqual
+ * Emits whether the source and compareTo emit the same values in the same order, then complete:
+ * false as soon as they differ, unsubscribing from both, true once both completed.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/conditional/sequenceequal.html } for examples.
+ *
+ * @param compareTo {Observable} anything Observable.from accepts
+ * @param comparator {Function} optional, (a, b) => Boolean, === by default
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const sequenceEqual = (compareTo, comparator = (a, b) => a === b) => source => operate(source, observer => {
+  // the values one side emitted the other did not yet, only one side is ahead at a time
+  const sides = [{values: new Queue(), completed: false}, {values: new Queue(), completed: false}];
+  const answer = (equal) => {
+    observer.next(equal);
+    observer.complete();
+  };
+  const next = (side, other, compare) => value => {
+    if (other.values.length) {
+      if (!compare(value, other.values.dequeue())) {
+        answer(false);
+      }
+    } else if (other.completed) {
+      answer(false);
+    } else {
+      side.values.enqueue(value);
+    }
+  };
+  const complete = (side, other) => () => {
+    side.completed = true;
+    if (other.values.length) {
+      answer(false);
+    } else if (other.completed) {
+      answer(!side.values.length);
+    }
+  };
+  const [first, second] = sides;
+  source.subscribe(innerSubscriber(observer,
+    next(first, second, comparator),
+    err => observer.error(err),
+    complete(first, second)
+  ));
+  if (!observer.closed) {
+    from(compareTo).subscribe(innerSubscriber(observer,
+      next(second, first, (value, expected) => comparator(expected, value)),
+      err => observer.error(err),
+      complete(second, first)
+    ));
+  }
+});
+
+class ScanSubscriber extends Subscriber {
+  constructor(destination, accumulator, seed) {
+    super(destination);
+    this.accumulator = accumulator;
+    this.hasAccumulation = seed.length > 0;
+    this.accumulation = seed[0];
+    this.index = 0;
+  }
+
+  _next(value) {
+    const index = this.index++;
+    if (!this.hasAccumulation) {
+      this.hasAccumulation = true;
+      this.accumulation = value;
+    } else {
+      try {
+        this.accumulation = this.accumulator(this.accumulation, value, index);
+      } catch (err) {
+        this.error(err);
+        return;
+      }
+    }
+    this.destination.next(this.accumulation);
+  }
+}
+
+/**
+ * Transformation operators : scan
+ * Applies an accumulator to each value and emits each intermediate accumulation.
+ * Without seed, the first value is the first accumulation.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/scan.html } for examples.
+ *
+ * @param accumulator {Function} called with the accumulation, the value and its index
+ * @param seed optional, the initial accumulation
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const scan = (accumulator, ...seed) => source => liftSubscriber(source, ScanSubscriber, accumulator, seed);
+
+/**
+ * Transformation operators : reduce
+ * Same as scan, but only emits the final accumulation once the source completes.
+ * An empty source emits the seed, or nothing without seed.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/reduce.html } for examples.
+ *
+ * @param accumulator {Function} called with the accumulation, the value and its index
+ * @param seed optional, the initial accumulation
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const reduce = (accumulator, ...seed) => source => operate(source, observer => {
+  let hasAccumulation = seed.length > 0;
+  let accumulation = seed[0];
+  return scan(accumulator, ...seed)(source).subscribe(innerSubscriber(observer,
+    value => {
+      hasAccumulation = true;
+      accumulation = value;
+    },
+    err => observer.error(err),
+    () => {
+      if (hasAccumulation) {
+        observer.next(accumulation);
+      }
+      observer.complete();
+    }
+  ));
+});
+
+/**
+ * Mathematical operators : count
+ * Emits the number of values, or of values passing predicate, once the source completes.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/mathematical/count.html } for examples.
+ *
+ * @param predicate {Function} optional, called with the value, its index and the source
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const count = (predicate = () => true) => source =>
+  reduce((total, value, index) => predicate(value, index, source) ? total + 1 : total, 0)(source);
+
+const defaultComparer = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+
+/**
+ * Mathematical operators : min
+ * Emits the smallest value once the source completes.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/mathematical/min.html } for examples.
+ *
+ * @param comparer {Function} optional, (a, b) => negative when a is smaller, positive when b is
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const min = (comparer = defaultComparer) => reduce((a, b) => comparer(a, b) <= 0 ? a : b);
+
+/**
+ * Mathematical operators : max
+ * Emits the largest value once the source completes.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/mathematical/max.html } for examples.
+ *
+ * @param comparer {Function} optional, (a, b) => negative when a is smaller, positive when b is
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const max = (comparer = defaultComparer) => reduce((a, b) => comparer(a, b) >= 0 ? a : b);
+
+/**
+ * Transformation operators : toArray
+ * Emits every value in an array once the source completes.
+ *
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const toArray = () => source => operate(source, observer => {
+  const values = [];
+  return source.subscribe(innerSubscriber(observer,
+    value => {
+      values.push(value);
+    },
+    err => observer.error(err),
+    () => {
+      observer.next(values);
+      observer.complete();
+    }
+  ));
+});
+
+// the buffering and windowing operators flush every open buffer and complete every open window
+// when the source completes, and discard them or error them when it errors
+
+/**
+ * Transformation operators : window
+ * Emits windows, Observables of the source values, starting a new one each time windowBoundaries emits.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/window.html } for examples.
+ *
+ * @param windowBoundaries {Observable} anything Observable.from accepts
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const window = (windowBoundaries) => source => operate(source, observer => {
+  let current = new Subject();
+  observer.next(current);
+  source.subscribe(innerSubscriber(observer,
+    value => current.next(value),
+    err => {
+      current.error(err);
+      observer.error(err);
+    },
+    () => {
+      current.complete();
+      observer.complete();
+    }
+  ));
+  from(windowBoundaries).subscribe(innerSubscriber(observer,
+    () => {
+      current.complete();
+      current = new Subject();
+      observer.next(current);
+    },
+    err => {
+      current.error(err);
+      observer.error(err);
+    }
+  ));
+});
+
+/**
+ * Transformation operators : windowCount
+ * Emits windows of at most size values, starting a new one every startEvery values.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/windowcount.html } for examples.
+ *
+ * @param size {Number}
+ * @param startEvery {Number} defaults to size, so windows follow each other
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const windowCount = (size, startEvery = size) => source => operate(source, observer => {
+  let windows = [];
+  let count = 0;
+  const openWindow = () => {
+    const subject = new Subject();
+    windows = [...windows, {subject, size: 0}];
+    observer.next(subject);
+  };
+  openWindow();
+  return source.subscribe(innerSubscriber(observer,
+    value => {
+      windows.forEach(entry => {
+        entry.size++;
+        entry.subject.next(value);
+      });
+      windows.filter(entry => entry.size === size).forEach(entry => entry.subject.complete());
+      windows = windows.filter(entry => entry.size < size);
+      if (++count % startEvery === 0) {
+        openWindow();
+      }
+    },
+    err => {
+      windows.forEach(entry => entry.subject.error(err));
+      observer.error(err);
+    },
+    () => {
+      windows.forEach(entry => entry.subject.complete());
+      observer.complete();
+    }
+  ));
+});
+
+// the time-based windowing operators take their scheduler as last argument,
+// whichever optional arguments come before it
+const timeSpanArgs = (args) => {
+  const hasScheduler = args[args.length - 1] instanceof Scheduler;
+  const [creationInterval = null, maxSize = Infinity] = hasScheduler ? args.slice(0, -1) : args;
+  return {creationInterval, maxSize, scheduler: hasScheduler ? args[args.length - 1] : async};
+};
+
+/**
+ * Transformation operators : windowTime
+ * Emits windows lasting timeSpan. Without creationInterval, a new window starts when the previous one closes,
+ * otherwise a new window starts every creationInterval. A window closes early once it holds maxSize values.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/windowtime.html } for examples.
+ *
+ * @param timeSpan {Number}
+ * @param creationInterval {Number} optional
+ * @param maxSize {Number} optional
+ * @param scheduler {Scheduler} optional
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const windowTime = (timeSpan, ...args) => source => operate(source, observer => {
+  const {creationInterval, maxSize, scheduler} = timeSpanArgs(args);
+  let windows = [];
+  const openWindow = () => {
+    const entry = {subject: new Subject(), size: 0, cancel: () => {}};
+    windows = [...windows, entry];
+    observer.next(entry.subject);
+    entry.cancel = scheduler.schedule(() => closeWindow(entry), timeSpan);
+  };
+  const closeWindow = entry => {
+    entry.cancel();
+    windows = windows.filter(w => w !== entry);
+    entry.subject.complete();
+    if (creationInterval === null) {
+      openWindow();
+    }
+  };
+  observer.add(() => windows.forEach(entry => entry.cancel()));
+  openWindow();
+  if (creationInterval !== null) {
+    observer.add(interval(creationInterval, scheduler).subscribe(openWindow));
+  }
+  source.subscribe(innerSubscriber(observer,
+    value => {
+      windows.forEach(entry => {
+        entry.size++;
+        entry.subject.next(value);
+      });
+      windows.filter(entry => entry.size >= maxSize).forEach(closeWindow);
+    },
+    err => {
+      windows.forEach(entry => entry.subject.error(err));
+      observer.error(err);
+    },
+    () => {
+      windows.forEach(entry => entry.subject.complete());
+      observer.complete();
+    }
+  ));
+});
+
+/**
+ * Transformation operators : buffer
+ * Collects the source values in an array, emitted each time closingNotifier emits.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/buffer.html } for examples.
+ *
+ * @param closingNotifier {Observable} anything Observable.from accepts
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const buffer = (closingNotifier) => pipe(window(closingNotifier), mergeMap(toArray()));
+
+/**
+ * Transformation operators : bufferCount
+ * Collects the source values in arrays of size values, starting a new one every startEvery values.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/buffercount.html } for examples.
+ *
+ * @param size {Number}
+ * @param startEvery {Number} defaults to size, so buffers follow each other
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const bufferCount = (size, startEvery = size) => source => operate(source, observer => {
+  const buffers = [];
+  let count = 0;
+  return source.subscribe(innerSubscriber(observer,
+    value => {
+      if (count++ % startEvery === 0) {
+        buffers.push([]);
+      }
+      buffers.forEach(values => values.push(value));
+      // the oldest buffer is the only one that can be full
+      if (buffers.length && buffers[0].length === size) {
+        observer.next(buffers.shift());
+      }
+    },
+    err => observer.error(err),
+    () => {
+      buffers.forEach(values => observer.next(values));
+      observer.complete();
+    }
+  ));
+});
+
+/**
+ * Transformation operators : bufferTime
+ * Collects the source values in arrays, see windowTime for when they start and end.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/buffertime.html } for examples.
+ *
+ * @param timeSpan {Number}
+ * @param creationInterval {Number} optional
+ * @param maxSize {Number} optional
+ * @param scheduler {Scheduler} optional
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const bufferTime = (timeSpan, ...args) => pipe(windowTime(timeSpan, ...args), mergeMap(toArray()));
+
+/**
+ * Transformation operators : bufferToggle
+ * Starts collecting the source values each time openings emits,
+ * until the Observable returned by closingSelector for that opening emits.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/buffertoggle.html } for examples.
+ *
+ * @param openings {Observable} anything Observable.from accepts
+ * @param closingSelector {Function} called with the opening value, returns anything Observable.from accepts
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const bufferToggle = (openings, closingSelector) => source => operate(source, observer => {
+  const buffers = [];
+  const closeBuffer = entry => {
+    const index = buffers.indexOf(entry);
+    if (index < 0) {
+      return;
+    }
+    entry.unsubscribe();
+    buffers.splice(index, 1);
+    observer.next(entry.values);
+  };
+  observer.add(() => buffers.forEach(entry => entry.unsubscribe()));
+  source.subscribe(innerSubscriber(observer,
+    value => buffers.forEach(entry => entry.values.push(value)),
+    err => observer.error(err),
+    () => {
+      buffers.forEach(entry => observer.next(entry.values));
+      observer.complete();
+    }
+  ));
+  from(openings).subscribe(innerSubscriber(observer,
+    opening => {
+      const closing$ = durationOf(closingSelector, opening, observer);
+      if (!closing$) {
+        return;
+      }
+      const entry = {values: [], unsubscribe: () => {}};
+      buffers.push(entry);
+      const unsubscribeClosing = closing$.subscribe(() => closeBuffer(entry), err => observer.error(err));
+      if (buffers.includes(entry)) {
+        entry.unsubscribe = unsubscribeClosing;
+      } else {
+        unsubscribeClosing();
+      }
+    },
+    err => observer.error(err)
+  ));
+});
+
+/**
+ * Transformation operators : bufferWhen
+ * Collects the source values until the Observable returned by closingSelector emits,
+ * then emits them and calls closingSelector again for the next buffer.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/bufferwhen.html } for examples.
+ *
+ * @param closingSelector {Function} returns anything Observable.from accepts
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const bufferWhen = (closingSelector) => source => operate(source, observer => {
+  let values = [];
+  let unsubscribeClosing = () => {};
+  const openBuffer = () => {
+    const closing$ = durationOf(closingSelector, undefined, observer);
+    if (closing$) {
+      unsubscribeClosing = closing$.subscribe(innerSubscriber(observer, closeBuffer, err => observer.error(err)));
+    }
+  };
+  const closeBuffer = () => {
+    unsubscribeClosing();
+    const closed = values;
+    values = [];
+    observer.next(closed);
+    openBuffer();
+  };
+  observer.add(() => unsubscribeClosing());
+  source.subscribe(innerSubscriber(observer,
+    value => {
+      values.push(value);
+    },
+    err => observer.error(err),
+    () => {
+      observer.next(values);
+      observer.complete();
+    }
+  ));
+  openBuffer();
+});
+
+class PairwiseSubscriber extends Subscriber {
+  constructor(destination) {
+    super(destination);
+    this.hasPrevious = false;
+    this.previous = undefined;
+  }
+
+  _next(value) {
+    const previous = this.previous;
+    const hasPrevious = this.hasPrevious;
+    this.hasPrevious = true;
+    this.previous = value;
+    if (hasPrevious) {
+      this.destination.next([previous, value]);
+    }
+  }
+}
+
+/**
+ * Combinations operators : pairwise
+ * Emits the previous and the current value as an array, from the second value on.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/pairwise.html } for examples.
+ *
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const pairwise = () => source => liftSubscriber(source, PairwiseSubscriber);
+
+// shared by the flattening operators: each source value is projected to an inner Observable,
+// what happens to a value arriving while `concurrent` inners are active depends on onBusy:
+// 'buffer' keeps it until an inner completes, 'drop' ignores it, 'switch' unsubscribes the oldest inner
+const flatten = (source, project, resultSelector, concurrent, onBusy) => operate(source, observer => {
+  let stopped = false;
+  let outerCompleted = false;
+  let index = 0;
+  const buffer = new Queue();
+  let inners = [];
+  let outer = null;
+
+  const teardown = () => {
+    stopped = true;
+    inners.forEach(inner => inner.unsubscribe());
+    inners = [];
+    if (outer) {
+      outer();
+    }
+  };
+  const fail = err => {
+    if (!stopped) {
+      teardown();
+      observer.error(err);
+    }
+  };
+  const drain = () => {
+    while (!stopped && buffer.length && inners.length < concurrent) {
+      subscribeInner(buffer.dequeue());
+    }
+    if (!stopped && outerCompleted && !inners.length && !buffer.length) {
+      stopped = true;
+      observer.complete();
+    }
+  };
+  const subscribeInner = (value) => {
+    const outerIndex = index++;
+    let innerIndex = 0;
+    let inner$;
+    try {
+      inner$ = from(project(value, outerIndex));
+    } catch (err) {
+      fail(err);
+      return;
+    }
+    const inner = {unsubscribe: () => {}};
+    inners = [...inners, inner];
+    inner.unsubscribe = inner$.subscribe(innerSubscriber(observer,
+      innerValue => {
+        if (stopped) {
+          return;
+        }
+        if (!resultSelector) {
+          observer.next(innerValue);
+          return;
+        }
+        let result;
+        try {
+          result = resultSelector(value, innerValue, outerIndex, innerIndex++);
+        } catch (err) {
+          fail(err);
+          return;
+        }
+        observer.next(result);
+      },
+      fail,
+      () => {
+        inners = inners.filter(i => i !== inner);
+        drain();
+      }
+    ));
+  };
+
+  outer = source.subscribe(innerSubscriber(observer,
+    value => {
+      if (stopped) {
+        return;
+      }
+      if (inners.length < concurrent) {
+        subscribeInner(value);
+      } else if (onBusy === 'buffer') {
+        buffer.enqueue(value);
+      } else if (onBusy === 'switch') {
+        const [oldest, ...rest] = inners;
+        inners = rest;
+        oldest.unsubscribe();
+        subscribeInner(value);
+      }
+    },
+    fail,
+    () => {
+      outerCompleted = true;
+      drain();
+    }
+  ));
+  if (stopped) {
+    outer();
+  }
+  return teardown;
+});
+
+/**
+ * Transformation operators : mergeMap
+ * Maps each value to an Observable, then flattens all of these inner Observables.
+ * Projections may return anything Observable.from accepts.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/mergemap.html } for examples.
+ *
+ * @param project {Function} called with the value and its index
+ * @param resultSelector {Function} optional, called with the outer value, the inner value and their indexes
+ * @param concurrent {Number} maximum number of inner Observables subscribed at the same time
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const mergeMap = (project, resultSelector, concurrent = Infinity) => source => {
+  if (typeof resultSelector === 'number') {
+    return flatten(source, project, undefined, resultSelector, 'buffer');
+  }
+  return flatten(source, project, resultSelector, concurrent, 'buffer');
+};
+
+/**
+ * Transformation operators : switchMap
+ * Maps each value to an Observable, unsubscribing from the previous inner Observable.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/switchmap.html } for examples.
+ *
+ * @param project {Function} called with the value and its index
+ * @param resultSelector {Function} optional, called with the outer value, the inner value and their indexes
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const switchMap = (project, resultSelector) => source => flatten(source, project, resultSelector, 1, 'switch');
+
+/**
+ * Transformation operators : concatMap
+ * Maps each value to an Observable, subscribing to each one after the previous completed.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/concatmap.html } for examples.
+ *
+ * @param project {Function} called with the value and its index
+ * @param resultSelector {Function} optional, called with the outer value, the inner value and their indexes
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const concatMap = (project, resultSelector) => source => flatten(source, project, resultSelector, 1, 'buffer');
+
+/**
+ * Transformation operators : exhaustMap
+ * Maps each value to an Observable, ignoring source values while the inner Observable is active.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/transformation/exhaustmap.html } for examples.
+ *
+ * @param project {Function} called with the value and its index
+ * @param resultSelector {Function} optional, called with the outer value, the inner value and their indexes
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const exhaustMap = (project, resultSelector) => source => flatten(source, project, resultSelector, 1, 'drop');
+
+/**
+ * Combinations operators : mergeAll
+ * Flattens an Observable of Observables, subscribing to every inner Observable as it arrives.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/mergeall.html } for examples.
+ *
+ * @param concurrent {Number} maximum number of inner Observables subscribed at the same time
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const mergeAll = (concurrent = Infinity) => mergeMap(inner$ => inner$, concurrent);
+
+/**
+ * Combinations operators : concatAll
+ * Flattens an Observable of Observables, one inner Observable after the other.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/concatall.html } for examples.
+ *
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const concatAll = () => concatMap(inner$ => inner$);
+
+/**
+ * Combinations operators : switchAll
+ * Flattens an Observable of Observables, only listening to the latest inner Observable.
+ *
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const switchAll = () => switchMap(inner$ => inner$);
+
+// the pipeable combination operators put their source first, before the other Observables
+// given either as arguments or as a single array, and keep the trailing arguments of the static version
+const withSource = (source, args) => {
+  const trailing = args.findIndex(arg => typeof arg === 'function' || typeof arg === 'number');
+  const others = trailing === -1 ? args : args.slice(0, trailing);
+  const rest = trailing === -1 ? [] : args.slice(trailing);
+  return [source, ...(others.length === 1 && Array.isArray(others[0]) ? others[0] : others), ...rest];
+};
+
+/**
+ * Combinations operators : merge
+ * Emits the values of the source and of the other Observables as they come.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/merge.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector applied to each value,
+ * or by the maximum number of concurrent subscriptions
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const merge = (...observables) => source => mergeStatic(...withSource(source, observables));
+
+/**
+ * Combinations operators : combineLatest
+ * Combines the latest values of the source and of the other Observables, see the static combineLatest.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/combinelatest.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const combineLatest = (...observables) => source => combineLatestStatic(...withSource(source, observables));
+
+/**
+ * Combinations operators : zip
+ * Pairs the nth value of the source with the nth value of the other Observables, see the static zip.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/zip.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const zip = (...observables) => source => zipStatic(...withSource(source, observables));
+
+/**
+ * Combinations operators : forkJoin
+ * Emits the last value of the source and of the other Observables once they all completed.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/forkjoin.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const forkJoin = (...observables) => source => forkJoinStatic(...withSource(source, observables));
+
+/**
+ * Combinations operators : race
+ * Mirrors whichever of the source and the other Observables emits first.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/race.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector applied to each value
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const race = (...observables) => source => raceStatic(...withSource(source, observables));
+
+/**
+ * Combinations operators : withLatestFrom
+ * Emits each source value with the latest value of every other Observable,
+ * once they all emitted at least once.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/combination/withlatestfrom.html } for examples.
+ *
+ * @param observables {Array} optionally followed by a result selector
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const withLatestFrom = (...observables) => source => {
+  const {sources: others, resultSelector} = combinationArgs(observables);
+  return operate(source, observer => {
+    let latest = others.map(() => undefined);
+    let hasValue = others.map(() => false);
+    subscribeToAll(
+      observer,
+      others,
+      (value, index) => {
+        latest = Object.assign([...latest], {[index]: value});
+        hasValue = Object.assign([...hasValue], {[index]: true});
+      },
+      err => observer.error(err),
+      () => {}
+    );
+    if (observer.closed) {
+      return;
+    }
+    source.subscribe(innerSubscriber(observer,
+      value => hasValue.every(Boolean) && emitCombined(observer, resultSelector, [value, ...latest]),
+      err => observer.error(err),
+      () => observer.complete()
+    ));
+  });
+};
+
+/**
+ * Error handling operators : catchError, the pipeable catch
+ * Replaces a source that errors with the Observable returned by selector.
+ * Returning the caught Observable subscribes to the source again.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/error_handling/catch.html } for examples.
+ *
+ * @param selector {Function} called with the error and the caught Observable,
+ * returns anything Observable.from accepts
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const catchError = (selector) => source => {
+  const caught = operate(source, observer => {
+    let unsubscribeFallback = null;
+    const unsubscribeSource = source.subscribe(innerSubscriber(observer,
+      value => observer.next(value),
+      err => {
+        let fallback$;
+        try {
+          fallback$ = from(selector(err, caught));
+        } catch (selectorError) {
+          observer.error(selectorError);
+          return;
+        }
+        unsubscribeFallback = fallback$.subscribe(observer);
+      },
+      () => observer.complete()
+    ));
+    return () => {
+      unsubscribeSource();
+      if (unsubscribeFallback) {
+        unsubscribeFallback();
+      }
+    };
+  });
+  return caught;
+};
+
+// shared by retry, repeat, retryWhen and repeatWhen: subscribes observer to the source, giving trigger,
+// 'error' or 'complete', to onTrigger instead of observer, the other one ends observer after calling onStop.
+// subscribe drops the subscription to the source, if any, then subscribes again
+const resubscription = (source, observer, trigger, onTrigger, onStop = () => {}) => {
+  let rounds = 0;
+  let unsubscribe = () => {};
+  const subscribe = () => {
+    unsubscribe();
+    const round = ++rounds;
+    const unsubscribeRound = source.subscribe(innerSubscriber(observer,
+      value => observer.next(value),
+      err => {
+        if (trigger === 'error') {
+          onTrigger(err);
+          return;
+        }
+        onStop();
+        observer.error(err);
+      },
+      () => {
+        if (trigger === 'complete') {
+          onTrigger();
+          return;
+        }
+        onStop();
+        observer.complete();
+      }
+    ));
+    // a synchronous trigger may already have resubscribed, keep the newest subscription
+    if (round === rounds) {
+      unsubscribe = unsubscribeRound;
+    }
+  };
+  return {subscribe, unsubscribe: () => unsubscribe()};
+};
+
+// shared by retryWhen and repeatWhen: the source subscribes again each time the notifier result emits
+const resubscribeWhen = (trigger, notifier) => source => operate(source, observer => {
+  const notifications = new Subject();
+  let stopped = false;
+  const rounds = resubscription(source, observer, trigger, value => notifications.next(value), () => stopped = true);
+  let notifier$;
+  try {
+    notifier$ = from(notifier(notifications));
+  } catch (err) {
+    observer.error(err);
+    return;
+  }
+  const unsubscribeNotifier = notifier$.subscribe(innerSubscriber(observer,
+    () => rounds.subscribe(),
+    err => {
+      stopped = true;
+      rounds.unsubscribe();
+      observer.error(err);
+    },
+    () => {
+      stopped = true;
+      rounds.unsubscribe();
+      observer.complete();
+    }
+  ));
+  if (!stopped) {
+    rounds.subscribe();
+  }
+  return () => {
+    unsubscribeNotifier();
+    rounds.unsubscribe();
+  };
+});
+
+/**
+ * Error handling operators : retry
+ * Subscribes to the source again when it errors, at most count times.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/error_handling/retry.html } for examples.
+ *
+ * @param count {Number} defaults to retrying forever
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const retry = (count = Infinity) => source => operate(source, observer => {
+  let retries = 0;
+  const attempts = resubscription(source, observer, 'error', err => retries++ < count
+    ? attempts.subscribe()
+    : observer.error(err));
+  attempts.subscribe();
+  return attempts.unsubscribe;
+});
+
+/**
+ * Error handling operators : retryWhen
+ * Subscribes to the source again each time the Observable returned by notifier emits.
+ * notifier receives the Observable of the source errors;
+ * when its result completes or errors, so does the returned Observable.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/error_handling/retrywhen.html } for examples.
+ *
+ * @param notifier {Function} (errors: Observable) => Observable
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const retryWhen = (notifier) => resubscribeWhen('error', notifier);
+
+/**
+ * Utility operators : repeat
+ * Subscribes to the source again each time it completes, count times in all.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/utility/repeat.html } for examples.
+ *
+ * @param count {Number} defaults to repeating forever
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const repeat = (count = Infinity) => source => operate(source, observer => {
+  if (count <= 0) {
+    observer.complete();
+    return;
+  }
+  let completed = 0;
+  const rounds = resubscription(source, observer, 'complete', () => ++completed < count
+    ? rounds.subscribe()
+    : observer.complete());
+  rounds.subscribe();
+  return rounds.unsubscribe;
+});
+
+/**
+ * Utility operators : repeatWhen
+ * Subscribes to the source again each time the Observable returned by notifier emits.
+ * notifier receives the Observable of the source completions;
+ * when its result completes or errors, so does the returned Observable.
+ *
+ * @param notifier {Function} (completions: Observable) => Observable
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const repeatWhen = (notifier) => resubscribeWhen('complete', notifier);
+
+/**
+ * Error handling operators : onErrorResumeNext
+ * Subscribes to each Observable after the source, or the previous one, completed or errored.
+ *
+ * @param observables {Array}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const onErrorResumeNext = (...observables) => source => onErrorResumeNextStatic(...withSource(source, observables));
+
+/**
+ * Utility operators : finalize, the pipeable finally
+ * Calls callback once the source completes, errors or is unsubscribed from.
+ *
+ * @param callback {Function}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const finalize = (callback) => source => operate(source, observer => {
+  let called = false;
+  const once = () => {
+    if (!called) {
+      called = true;
+      callback();
+    }
+  };
+  const unsubscribe = source.subscribe(innerSubscriber(observer,
+    value => observer.next(value),
+    err => {
+      observer.error(err);
+      once();
+    },
+    () => {
+      observer.complete();
+      once();
+    }
+  ));
+  return () => {
+    unsubscribe();
+    once();
+  };
+});
+
+// emits 0 then completes once duration elapsed on scheduler,
+// it is the duration Observable behind every time-based rate-limiting operator
+const timerOf = (duration, scheduler) => new Observable(observer => scheduler.schedule(() => {
+  observer.next(0);
+  observer.complete();
+}, duration));
+
+// projects value to a duration Observable, reporting a throwing selector on the observer
+const durationOf = (durationSelector, value, observer) => {
+  try {
+    return from(durationSelector(value));
+  } catch (err) {
+    observer.error(err);
+    return null;
+  }
+};
+
+/**
+ * Filtering operators : debounce
+ * Emits a value only once the Observable returned by durationSelector for it emitted
+ * without any other source value arriving in between.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/debounce.html } for examples.
+ *
+ * @param durationSelector {Function} called with each value, returns anything Observable.from accepts
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const debounce = (durationSelector) => source => operate(source, observer => {
+  let hasValue = false;
+  let lastValue;
+  let unsubscribeDuration = () => {};
+  let unsubscribe = () => {};
+  const emit = () => {
+    unsubscribeDuration();
+    if (hasValue) {
+      hasValue = false;
+      observer.next(lastValue);
+    }
+  };
+  unsubscribe = source.subscribe(innerSubscriber(observer,
+    value => {
+      unsubscribeDuration();
+      const duration$ = durationOf(durationSelector, value, observer);
+      if (!duration$) {
+        unsubscribe();
+        return;
+      }
+      hasValue = true;
+      lastValue = value;
+      unsubscribeDuration = duration$.subscribe(emit, err => {
+        unsubscribe();
+        observer.error(err);
+      }, emit);
+    },
+    err => {
+      unsubscribeDuration();
+      observer.error(err);
+    },
+    () => {
+      emit();
+      observer.complete();
+    }
+  ));
+  return () => {
+    unsubscribe();
+    unsubscribeDuration();
+  };
+});
+
+/**
+ * Filtering operators : debounceTime
+ * Emits a value only after dueTime passed without another source value.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/debouncetime.html } for examples.
+ *
+ * @param dueTime {Number}
+ * @param scheduler {Scheduler}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const debounceTime = (dueTime, scheduler = async) => debounce(() => timerOf(dueTime, scheduler));
+
+/**
+ * Filtering operators : throttle
+ * Emits a value, then ignores the source until the Observable returned by durationSelector emits.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/throttle.html } for examples.
+ *
+ * @param durationSelector {Function} called with each emitted value, returns anything Observable.from accepts
+ * @param config {{leading: Boolean, trailing: Boolean}} whether to emit the first and the last value of a period
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const throttle = (durationSelector, {leading = true, trailing = false} = {}) => source => operate(source, observer => {
+  let throttling = false;
+  let hasTrailing = false;
+  let trailingValue;
+  let unsubscribeDuration = () => {};
+  let unsubscribe = () => {};
+  const throttle = value => {
+    const duration$ = durationOf(durationSelector, value, observer);
+    if (!duration$) {
+      unsubscribe();
+      return;
+    }
+    throttling = true;
+    const unsubscribeThrottle = duration$.subscribe(innerSubscriber(observer, endThrottle, err => {
+      unsubscribe();
+      observer.error(err);
+    }, endThrottle));
+    if (throttling) {
+      unsubscribeDuration = unsubscribeThrottle;
+    } else {
+      unsubscribeThrottle();
+    }
+  };
+  const endThrottle = () => {
+    throttling = false;
+    unsubscribeDuration();
+    if (trailing && hasTrailing) {
+      hasTrailing = false;
+      observer.next(trailingValue);
+      throttle(trailingValue);
+    }
+  };
+  unsubscribe = source.subscribe(innerSubscriber(observer,
+    value => {
+      if (throttling) {
+        hasTrailing = true;
+        trailingValue = value;
+        return;
+      }
+      if (leading) {
+        observer.next(value);
+      } else {
+        hasTrailing = true;
+        trailingValue = value;
+      }
+      throttle(value);
+    },
+    err => {
+      unsubscribeDuration();
+      observer.error(err);
+    },
+    () => {
+      unsubscribeDuration();
+      if (trailing && hasTrailing) {
+        observer.next(trailingValue);
+      }
+      observer.complete();
+    }
+  ));
+  return () => {
+    unsubscribe();
+    unsubscribeDuration();
+  };
+});
+
+/**
+ * Filtering operators : throttleTime
+ * Emits a value, then ignores the source for duration.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/throttletime.html } for examples.
+ *
+ * @param duration {Number}
+ * @param scheduler {Scheduler}
+ * @param config {{leading: Boolean, trailing: Boolean}} whether to emit the first and the last value of a period
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const throttleTime = (duration, scheduler = async, config) => throttle(() => timerOf(duration, scheduler), config);
+
+/**
+ * Filtering operators : audit
+ * Once a value arrives, waits for the Observable returned by durationSelector to emit,
+ * then emits the most recent source value.
+ *
+ * @param durationSelector {Function} called with the value opening the period,
+ * returns anything Observable.from accepts
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const audit = (durationSelector) => source => operate(source, observer => {
+  let auditing = false;
+  let lastValue;
+  let unsubscribeDuration = () => {};
+  let unsubscribe = () => {};
+  const endAudit = () => {
+    auditing = false;
+    unsubscribeDuration();
+    observer.next(lastValue);
+  };
+  unsubscribe = source.subscribe(innerSubscriber(observer,
+    value => {
+      lastValue = value;
+      if (auditing) {
+        return;
+      }
+      const duration$ = durationOf(durationSelector, value, observer);
+      if (!duration$) {
+        unsubscribe();
+        return;
+      }
+      auditing = true;
+      const unsubscribeAudit = duration$.subscribe(endAudit, err => {
+        unsubscribe();
+        observer.error(err);
+      }, endAudit);
+      if (auditing) {
+        unsubscribeDuration = unsubscribeAudit;
+      } else {
+        unsubscribeAudit();
+      }
+    },
+    err => {
+      unsubscribeDuration();
+      observer.error(err);
+    },
+    () => {
+      unsubscribeDuration();
+      observer.complete();
+    }
+  ));
+  return () => {
+    unsubscribe();
+    unsubscribeDuration();
+  };
+});
+
+/**
+ * Filtering operators : auditTime
+ * Once a value arrives, waits for duration then emits the most recent source value.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/audittime.html } for examples.
+ *
+ * @param duration {Number}
+ * @param scheduler {Scheduler}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const auditTime = (duration, scheduler = async) => audit(() => timerOf(duration, scheduler));
+
+/**
+ * Filtering operators : sampleTime
+ * Emits the most recent source value every period, if there is a new one.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/filtering/sampletime.html } for examples.
+ *
+ * @param period {Number}
+ * @param scheduler {Scheduler}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const sampleTime = (period, scheduler = async) => source => operate(source, observer => {
+  let hasValue = false;
+  let lastValue;
+  const unsubscribeTicks = interval(period, scheduler).subscribe(innerSubscriber(observer, () => {
+    if (hasValue) {
+      hasValue = false;
+      observer.next(lastValue);
+    }
+  }));
+  const unsubscribe = source.subscribe(innerSubscriber(observer,
+    value => {
+      hasValue = true;
+      lastValue = value;
+    },
+    err => {
+      unsubscribeTicks();
+      observer.error(err);
+    },
+    () => {
+      unsubscribeTicks();
+      observer.complete();
+    }
+  ));
+  return () => {
+    unsubscribe();
+    unsubscribeTicks();
+  };
+});
+
+/**
+ * Utility operators : delayWhen
+ * Delays each value until the Observable returned by delayDurationSelector for it emits or completes.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/utility/delaywhen.html } for examples.
+ *
+ * @param delayDurationSelector {Function} called with each value and its index,
+ * returns anything Observable.from accepts
+ * @param subscriptionDelay {Observable} optional, the source is subscribed to once it emits or completes
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const delayWhen = (delayDurationSelector, subscriptionDelay) => source => operate(source, observer => {
+  let index = 0;
+  let delays = [];
+  let completed = false;
+  let stopped = false;
+  let unsubscribeSource = () => {};
+  let unsubscribeSubscriptionDelay = () => {};
+  const teardown = () => {
+    stopped = true;
+    unsubscribeSubscriptionDelay();
+    unsubscribeSource();
+    delays.forEach(delay => delay.unsubscribe());
+    delays = [];
+  };
+  const fail = err => {
+    if (!stopped) {
+      teardown();
+      observer.error(err);
+    }
+  };
+  const completeIfDone = () => {
+    if (!stopped && completed && !delays.length) {
+      stopped = true;
+      observer.complete();
+    }
+  };
+  const delayValue = value => {
+    const duration$ = durationOf(value => delayDurationSelector(value, index++), value, {error: fail});
+    if (!duration$) {
+      return;
+    }
+    const delay = {unsubscribe: () => {}, emitted: false};
+    const emit = () => {
+      if (delay.emitted || stopped) {
+        return;
+      }
+      delay.emitted = true;
+      delays = delays.filter(d => d !== delay);
+      delay.unsubscribe();
+      observer.next(value);
+      completeIfDone();
+    };
+    delays = [...delays, delay];
+    delay.unsubscribe = duration$.subscribe(innerSubscriber(observer, emit, fail, emit));
+  };
+  let subscribed = false;
+  const subscribeToSource = () => {
+    if (subscribed || stopped) {
+      return;
+    }
+    subscribed = true;
+    unsubscribeSubscriptionDelay();
+    unsubscribeSource = source.subscribe(innerSubscriber(observer, delayValue, fail, () => {
+      completed = true;
+      completeIfDone();
+    }));
+  };
+  if (subscriptionDelay) {
+    unsubscribeSubscriptionDelay = subscriptionDelay.subscribe(innerSubscriber(observer, subscribeToSource, fail, subscribeToSource));
+  } else {
+    subscribeToSource();
+  }
+  return teardown;
+});
+
+/**
+ * Utility operators : delay
+ * Delays every notification but errors by the given time, or until the given date.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/utility/delay.html } for examples.
+ *
+ * @param delay {Number|Date}
+ * @param scheduler {Scheduler}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const delay = (delay, scheduler = async) => source => operate(source, observer => {
+  const dueTime = delay instanceof Date ? Math.max(0, delay.getTime() - scheduler.now()) : delay;
+  return delayWhen(() => timerOf(dueTime, scheduler))(source).subscribe(observer);
+});
+
+/**
+ * Multicasting operators : multicast
+ * Shares the source through a subject.
+ * Without selector, returns a ConnectableObservable that only subscribes to the source on connect.
+ * With a selector, each subscription gets its own subject and the selector can subscribe
+ * to it as many times as it needs with a single subscription to the source.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/multicasting/multicast.html } for examples.
+ *
+ * @param subjectOrFactory {Subject|Function} a subject, or a function returning a new one
+ * @param selector {Function} optional, called with the subject, returns anything Observable.from accepts
+ * @returns {Function} (source: Observable) => ConnectableObservable|Observable
+ */
+export const multicast = (subjectOrFactory, selector) => source => {
+  const subjectFactory = typeof subjectOrFactory === 'function' ? subjectOrFactory : () => subjectOrFactory;
+  if (!selector) {
+    return new ConnectableObservable(source, subjectFactory);
+  }
+  return new Observable(subscriber => {
+    const subject = subjectFactory();
+    const subscription = from(selector(subject)).subscribe(subscriber);
+    subscription.add(source.subscribe(subject));
+    return subscription;
+  });
+};
+
+/**
+ * Multicasting operators : publish
+ * Shares the source through a Subject, once connected.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/multicasting/publish.html } for examples.
+ *
+ * @param selector {Function} optional, see multicast
+ * @returns {Function} (source: Observable) => ConnectableObservable|Observable
+ */
+export const publish = (selector) => selector ? multicast(() => new Subject(), selector) : multicast(new Subject());
+
+/**
+ * Multicasting operators : publishReplay
+ * Shares the source through a ReplaySubject, once connected.
+ *
+ * @param bufferSize {Number}
+ * @param windowTime {Number}
+ * @param scheduler {Scheduler}
+ * @returns {Function} (source: Observable) => ConnectableObservable
+ */
+export const publishReplay = (bufferSize, windowTime, scheduler) =>
+  multicast(new ReplaySubject(bufferSize, windowTime, scheduler));
+
+/**
+ * Multicasting operators : publishLast
+ * Shares the last value of the source through an AsyncSubject, once connected.
+ *
+ * @returns {Function} (source: Observable) => ConnectableObservable
+ */
+export const publishLast = () => multicast(new AsyncSubject());
+
+/**
+ * Multicasting operators : publishBehavior
+ * Shares the source through a BehaviorSubject starting with value, once connected.
+ *
+ * @param value
+ * @returns {Function} (source: Observable) => ConnectableObservable
+ */
+export const publishBehavior = (value) => multicast(new BehaviorSubject(value));
+
+/**
+ * Multicasting operators : share
+ * Shares the source while it has subscribers,
+ * subscribing to it again when a new subscriber arrives after it completed.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/multicasting/share.html } for examples.
+ *
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const share = () => source => multicast(() => new Subject())(source).refCount();
+
+/**
+ * Multicasting operators : shareReplay
+ * Shares the source while it has subscribers and replays its last values to late subscribers.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/multicasting/sharereplay.html } for examples.
+ *
+ * @param bufferSize {Number}
+ * @param windowTime {Number}
+ * @param scheduler {Scheduler}
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const shareReplay = (bufferSize, windowTime, scheduler) => source =>
+  publishReplay(bufferSize, windowTime, scheduler)(source).refCount();
+
+// shared by the backpressure operators: the source is consumed as fast as it pushes,
+// its values wait in a Queue until the subscriber requests them, enqueue decides what happens to a value
+// given the queue and the pending demand. Errors are sent right away, completion once the queue is drained
+const bufferOnDemand = (source, enqueue) => operate(source, observer => {
+  const buffer = new Queue();
+  let completed = false;
+  const drain = onDemand(observer, () => {
+    if (!buffer.length) {
+      return false;
+    }
+    observer.next(buffer.dequeue());
+    if (completed && !buffer.length) {
+      observer.complete();
+    }
+    return true;
+  });
+  return source.subscribe(innerSubscriber(observer,
+    value => {
+      try {
+        enqueue(buffer, value, pendingDemand(observer));
+      } catch (err) {
+        observer.error(err);
+        return;
+      }
+      drain();
+    },
+    err => observer.error(err),
+    () => {
+      completed = true;
+      if (!buffer.length) {
+        observer.complete();
+      }
+    }
+  ));
+});
+
+/**
+ * Backpressure operators : onBackpressureBuffer
+ * Keeps the values of the source its DemandSubscriber didn't request yet, up to maxSize.
+ * A value arriving when the buffer is full is given to onOverflow and dropped,
+ * without onOverflow the subscriber gets a BufferOverflowError.
+ *
+ * @param maxSize {Number} Infinity by default
+ * @param onOverflow {Function} called with each value dropped, what it throws is sent as error
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const onBackpressureBuffer = (maxSize = Infinity, onOverflow) => source => {
+  const overflow = onOverflow || (() => {
+    throw new BufferOverflowError(`backpressure buffer overflow, more than ${maxSize} values pending`);
+  });
+  return bufferOnDemand(source, (buffer, value) => {
+    if (buffer.length < maxSize) {
+      buffer.enqueue(value);
+    } else {
+      overflow(value);
+    }
+  });
+};
+
+/**
+ * Backpressure operators : onBackpressureDrop
+ * Drops the values of the source arriving while its DemandSubscriber has no pending request.
+ *
+ * @param onDrop {Function} optional, called with each value dropped
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const onBackpressureDrop = (onDrop) => source => bufferOnDemand(source, (buffer, value, requested) => {
+  if (buffer.length < requested) {
+    buffer.enqueue(value);
+  } else if (onDrop) {
+    onDrop(value);
+  }
+});
+
+/**
+ * Backpressure operators : onBackpressureLatest
+ * Keeps only the latest value of the source its DemandSubscriber didn't request yet,
+ * and emits it on the next request.
+ *
+ * @returns {Function} (source: Observable) => Observable
+ */
+export const onBackpressureLatest = () => source => bufferOnDemand(source, (buffer, value, requested) => {
+  if (buffer.length < requested || !buffer.length) {
+    buffer.enqueue(value);
+  } else {
+    buffer.replaceLast(value);
+  }
+});
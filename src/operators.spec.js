@@ -0,0 +1,137 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import {Observable, Subject, pipe} from './rxjs';
+import * as operators from './operators';
+import {map, filter, mapTo, tap, startWith, concat, take, first, skip, combineLatest} from './operators';
+import {TestScheduler} from './testing';
+
+describe('Pipeable operators', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new TestScheduler((actual, expected) => expect(actual).deep.equal(expected));
+  });
+
+  describe('pipe :', () => {
+
+    it('should compose operators from left to right', () => {
+      const double = num => num * 2;
+      const addOne = num => num + 1;
+      expect(pipe(double, addOne)(3)).equals(7);
+    });
+
+    it('should return its input when called without operators', () => {
+      const source$ = Observable.of(1);
+      expect(pipe()(source$)).equals(source$);
+      expect(source$.pipe()).equals(source$);
+    });
+
+    it('should apply operators to the Observable it is called on', () => {
+      const source$ = scheduler.cold('-a-b-c-|', {a: 1, b: 2, c: 3});
+      const expected = '-x---y-|';
+      scheduler.expectObservable(source$.pipe(
+        filter(num => num % 2 === 1),
+        map(num => num * 10)
+      )).toBe(expected, {x: 10, y: 30});
+      scheduler.flush();
+    });
+
+    it('should build reusable operator chains', () => {
+      const firstEvenTimesTen = pipe(
+        filter(num => num % 2 === 0),
+        map(num => num * 10),
+        first()
+      );
+      let result = [];
+      Observable.of(1, 2, 3, 4).pipe(firstEvenTimesTen).subscribe(val => result = [...result, val]);
+      Observable.of(5, 6).pipe(firstEvenTimesTen).subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([20, 60]);
+    });
+  });
+
+  describe('operators :', () => {
+
+    it('should return functions from an Observable to an Observable', () => {
+      const operator = map(num => num + 1);
+      expect(typeof operator).equals('function');
+      expect(operator(Observable.of(1))).instanceOf(Observable);
+    });
+
+    it('should pass thisArgs to the projection of map and the predicate of filter', () => {
+      const context = {factor: 3, min: 4};
+      let result = [];
+      Observable.of(1, 2, 3).pipe(
+        map(function (num) {
+          return num * this.factor;
+        }, context),
+        filter(function (num) {
+          return num > this.min;
+        }, context)
+      ).subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([6, 9]);
+    });
+
+    it('should emit the same value for every source value with mapTo', () => {
+      const source$ = scheduler.cold('-a-b-|');
+      scheduler.expectObservable(source$.pipe(mapTo('x'))).toBe('-x-x-|');
+      scheduler.flush();
+    });
+
+    it('should run side effects with tap, also exported as do', () => {
+      const next = sinon.spy();
+      const complete = sinon.spy();
+      expect(operators.do).equals(tap);
+      Observable.of(1, 2).pipe(tap(next, undefined, complete)).subscribe();
+      expect(next.args).deep.equals([[1], [2]]);
+      expect(complete.calledOnce).equals(true);
+    });
+
+    it('should prepend values with startWith and append Observables with concat', () => {
+      const source$ = scheduler.cold('-a-|');
+      const other$ = scheduler.cold('-b-|');
+      scheduler.expectObservable(source$.pipe(startWith('s'), concat(other$))).toBe('sa--b-|');
+      scheduler.flush();
+    });
+
+    it('should take and skip values', () => {
+      const source$ = scheduler.cold('-a-b-c-d-|');
+      scheduler.expectObservable(source$.pipe(skip(1), take(2))).toBe('---b-(c|)');
+      scheduler.expectSubscriptions(source$.subscriptions).toBe('^----!');
+      scheduler.flush();
+    });
+
+    it('should not let take emit more than count values sent again from next', () => {
+      const subject = new Subject();
+      const next = sinon.spy(val => val === 1 && subject.next(2));
+      subject.pipe(take(1)).subscribe(next);
+      subject.next(1);
+      expect(next.args).deep.equals([[1]]);
+    });
+
+    it('should combine the source with Observables given as an array', () => {
+      const source$ = scheduler.cold('-a---c-|');
+      const other$ = scheduler.cold('---b---|');
+      const expected = '---x-y-|';
+      scheduler.expectObservable(source$.pipe(combineLatest([other$], (a, b) => a + b)))
+        .toBe(expected, {x: 'ab', y: 'cb'});
+      scheduler.flush();
+    });
+  });
+
+  describe('prototype operators :', () => {
+
+    it('should delegate to the pipeable operators', () => {
+      const source$ = scheduler.cold('-a-b-c-|', {a: 1, b: 2, c: 3});
+      const expected = '---x---|';
+      scheduler.expectObservable(source$.filter(num => num % 2 === 0).mapTo('x')).toBe(expected);
+      scheduler.flush();
+    });
+
+    it('should keep the static forms of map and filter', () => {
+      let result = [];
+      Observable.filter(num => num > 1, Observable.map(num => num * 2, Observable.of(0, 1, 2)))
+        .subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([2, 4]);
+    });
+  });
+});
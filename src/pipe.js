@@ -0,0 +1,8 @@
+/**
+ * Composes operators from left to right into a single operator,
+ * so a chain can be declared once and reused on any source.
+ *
+ * @param operators {Array} functions from an Observable to an Observable
+ * @returns {Function} (source: Observable) => Observable, the identity without operators
+ */
+export const pipe = (...operators) => source => operators.reduce((prev, operator) => operator(prev), source);
@@ -0,0 +1,49 @@
+// operators buffering values between their source and their subscriber take them out in the order they came,
+// shifting an array, or rebuilding it with a spread, would make each of them cost the length of the buffer
+
+/**
+ * A first-in first-out queue where enqueue and dequeue take constant time:
+ * dequeued slots are released at once when they make up half of the underlying array.
+ */
+export class Queue {
+  constructor() {
+    this.items = [];
+    this.head = 0;
+  }
+
+  get length() {
+    return this.items.length - this.head;
+  }
+
+  enqueue(value) {
+    this.items.push(value);
+  }
+
+  /**
+   * @returns the oldest value, undefined when the queue is empty
+   */
+  dequeue() {
+    if (!this.length) {
+      return undefined;
+    }
+    const value = this.items[this.head];
+    this.items[this.head++] = undefined;
+    if (this.head * 2 >= this.items.length) {
+      this.items = this.items.slice(this.head);
+      this.head = 0;
+    }
+    return value;
+  }
+
+  /**
+   * Replaces the newest value, the queue must not be empty.
+   */
+  replaceLast(value) {
+    this.items[this.items.length - 1] = value;
+  }
+
+  clear() {
+    this.items = [];
+    this.head = 0;
+  }
+}
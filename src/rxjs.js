@@ -1,182 +1,199 @@
-// an observable is a function that accepts a producer in parameter and has a subscribe method
-// a producer is a function that throws/produce values and accepts an observer
-// an observer is just an object that has 3 functions: next, error, complete
-// and listen to the value emitted  by the producer
-export class Observable {
-}
-
-/**
- * Static creation operators : of
- * Emits the arguments you provide, then completes.
- *
- * @see {@link https://www.learnrxjs.io/operators/creation/of.html } for examples.
- *
- * @param args
- * @returns {Observable}
- */
-Observable.of = (...args) => {};
-
-/**
- * Static creation operators : interval
- * Emit numbers in sequence based on provided timeframe.
- *
- * @see {@link https://www.learnrxjs.io/operators/creation/interval.html } for examples.
- *
- * @param period {Number}
- * @returns {Observable}
- */
-Observable.interval = (period) => {
+import {Observable} from './observable';
+import {Subscription} from './subscription';
+import {Subscriber} from './subscriber';
+import {DemandSubscriber} from './backpressure';
+import {
+  EmptyError, UnsubscriptionError, ArgumentOutOfRangeError, SequenceError, BufferOverflowError, AjaxError, AjaxTimeoutError
+} from './errors';
+import {Subject, BehaviorSubject, ReplaySubject, AsyncSubject} from './subject';
+import {Scheduler, VirtualTimeScheduler, async} from './scheduler';
+import {ConnectableObservable} from './connectable';
+import {pipe} from './pipe';
+import {config} from './config';
+import {Tracer, tracer, formatEvent} from './debug';
+import * as creation from './creation';
+import * as operators from './operators';
+import * as consumers from './consumers';
+import {firstValueFrom, lastValueFrom} from './consumers';
+import * as ajax from './ajax';
+import {AjaxResponse} from './ajax';
+import {WebSocketSubject, webSocket} from './websocket';
+
+export {Observable, Subscription, Subscriber, Subscriber as SubscriptionObserver, DemandSubscriber};
+export {EmptyError, UnsubscriptionError, ArgumentOutOfRangeError, SequenceError, BufferOverflowError};
+export {AjaxResponse, AjaxError, AjaxTimeoutError};
+export {Subject, BehaviorSubject, ReplaySubject, AsyncSubject, ConnectableObservable, WebSocketSubject};
+export {Scheduler, VirtualTimeScheduler, async};
+export {pipe, config};
+export {Tracer, tracer, formatEvent};
+export {firstValueFrom, lastValueFrom};
+
+// names the Observables created by operators, so debug traces tell where each subscription comes from;
+// Observables given as arguments and returned as is keep their own name
+const nameResult = (name, result, args) => {
+  if (result instanceof Observable && !result.operatorName && !args.includes(result)) {
+    result.operatorName = name;
+  }
+  return result;
 };
 
+const named = (name, fn) => (...args) => nameResult(name, fn(...args), args);
 
+// the global hooks and options are shared through Observable
+Observable.config = config;
 
-/**
- * Static creation operators : fromArray
- * Converts an array to an Observable.
- *
- * /!\ doesn't exist in Rxjs, so use from operators see below
- * @see {@link https://www.learnrxjs.io/operators/creation/from.html } for examples.
- *
- * @param args {Array}
- * @returns {Observable}
- */
-Observable.fromArray = (args = []) => {
-};
+// creation operators are static methods of Observable,
+// of and from build instances of the class they are called on so subclasses inherit them
+const constructorOf = (context) => typeof context === 'function' ? context : Observable;
 
-/**
- * Static creation operators : fromPromise
- * Converts an promise to an Observable.
- *
- * @see {@link https://www.learnrxjs.io/operators/creation/frompromise.html } for examples.
- *
- * @param promise {Promise}
- * @returns {Observable}
- */
-Observable.fromPromise = (promise = {}) => {
+Observable.of = function (...args) {
+  return nameResult('of', creation.constructWith(constructorOf(this), creation.of(...args)), args);
 };
-
-/**
- * Static creation operators : from
- * Converts almost anything to an Observable
- *
- * @see {@link https://www.learnrxjs.io/operators/creation/from.html } for examples.
- *
- * @param input
- * @returns {Observable}
- */
-Observable.from = (input) => {
+Observable.from = function (input) {
+  return nameResult('from', creation.from(input, constructorOf(this)), [input]);
 };
-
-/**
- * Transformation operators : map
- * Apply a projection to each value and emits that projection in the returned observable
- *
- * @see {@link https://www.learnrxjs.io/operators/transformation/map.html } for examples.
-
- * @param projection
- * @param thisArgs: an optional argument to define what this is in the project function
- * @returns {Observable}
- */
-
-Observable.prototype.map = Observable.map = function (projection, thisArgs) {
+Observable.interval = named('interval', creation.interval);
+Observable.fromArray = named('fromArray', creation.fromArray);
+Observable.fromPromise = named('fromPromise', creation.fromPromise);
+Observable.fromIterable = named('fromIterable', creation.fromIterable);
+Observable.fromAsyncIterable = named('fromAsyncIterable', creation.fromAsyncIterable);
+Observable.fromEvent = named('fromEvent', creation.fromEvent);
+Observable.fromEventPattern = named('fromEventPattern', creation.fromEventPattern);
+Observable.bindCallback = named('bindCallback', creation.bindCallback);
+Observable.bindNodeCallback = named('bindNodeCallback', creation.bindNodeCallback);
+Observable.range = named('range', creation.range);
+Observable.timer = named('timer', creation.timer);
+Observable.empty = named('empty', creation.empty);
+Observable.never = named('never', creation.never);
+Observable.throw = named('throw', creation.throwError);
+Observable.defer = named('defer', creation.defer);
+Observable.iif = named('iif', creation.iif);
+Observable.generate = named('generate', creation.generate);
+Observable.using = named('using', creation.using);
+Observable.concat = named('concat', creation.concat);
+Observable.merge = named('merge', creation.merge);
+Observable.combineLatest = named('combineLatest', creation.combineLatest);
+Observable.zip = named('zip', creation.zip);
+Observable.forkJoin = named('forkJoin', creation.forkJoin);
+Observable.race = named('race', creation.race);
+Observable.onErrorResumeNext = named('onErrorResumeNext', creation.onErrorResumeNext);
+
+// ajax is both a creation operator and the namespace of its shortcuts
+Observable.ajax = Object.assign(named('ajax', ajax.ajax), {
+  get: named('ajax.get', ajax.get),
+  getJSON: named('ajax.getJSON', ajax.getJSON),
+  post: named('ajax.post', ajax.post),
+  put: named('ajax.put', ajax.put),
+  patch: named('ajax.patch', ajax.patch),
+  delete: named('ajax.delete', ajax.del)
+});
+Observable.webSocket = named('webSocket', webSocket);
+
+// map and filter can also be called statically with their source as last argument
+Observable.map = named('map', (projection, source) => operators.map(projection)(source));
+Observable.filter = named('filter', (predicate, source) => operators.filter(predicate)(source));
+
+// every pipeable operator is also chainable, applied to the Observable it is called on
+const chainable = (name, operator) => function (...args) {
+  return nameResult(name, operator(...args)(this), [this]);
 };
 
-/**
- * Filtering operators : filter
- * only emits a value from the source if it passes a criterion function.
- *
- * @see {@link https://www.learnrxjs.io/operators/filtering/filter.html } for examples.
-
- * @param predicate
- * @param thisArgs: an optional argument to define what this is in the project function
- * @returns {Observable}
- */
-Observable.prototype.filter = Observable.filter = function (predicate, thisArgs) {
+Observable.prototype.map = chainable('map', operators.map);
+Observable.prototype.filter = chainable('filter', operators.filter);
+Observable.prototype.mapTo = chainable('mapTo', operators.mapTo);
+Observable.prototype.do = chainable('do', operators.tap);
+Observable.prototype.startWith = chainable('startWith', operators.startWith);
+Observable.prototype.concat = chainable('concat', operators.concat);
+Observable.prototype.take = chainable('take', operators.take);
+Observable.prototype.first = chainable('first', operators.first);
+Observable.prototype.skip = chainable('skip', operators.skip);
+Observable.prototype.takeUntil = chainable('takeUntil', operators.takeUntil);
+Observable.prototype.takeWhile = chainable('takeWhile', operators.takeWhile);
+Observable.prototype.skipWhile = chainable('skipWhile', operators.skipWhile);
+Observable.prototype.skipUntil = chainable('skipUntil', operators.skipUntil);
+Observable.prototype.distinctUntilChanged = chainable('distinctUntilChanged', operators.distinctUntilChanged);
+Observable.prototype.distinct = chainable('distinct', operators.distinct);
+Observable.prototype.takeLast = chainable('takeLast', operators.takeLast);
+Observable.prototype.last = chainable('last', operators.last);
+Observable.prototype.elementAt = chainable('elementAt', operators.elementAt);
+Observable.prototype.single = chainable('single', operators.single);
+Observable.prototype.ignoreElements = chainable('ignoreElements', operators.ignoreElements);
+Observable.prototype.every = chainable('every', operators.every);
+Observable.prototype.find = chainable('find', operators.find);
+Observable.prototype.findIndex = chainable('findIndex', operators.findIndex);
+Observable.prototype.isEmpty = chainable('isEmpty', operators.isEmpty);
+Observable.prototype.defaultIfEmpty = chainable('defaultIfEmpty', operators.defaultIfEmpty);
+Observable.prototype.sequenceEqual = chainable('sequenceEqual', operators.sequenceEqual);
+Observable.prototype.scan = chainable('scan', operators.scan);
+Observable.prototype.reduce = chainable('reduce', operators.reduce);
+Observable.prototype.count = chainable('count', operators.count);
+Observable.prototype.min = chainable('min', operators.min);
+Observable.prototype.max = chainable('max', operators.max);
+Observable.prototype.toArray = chainable('toArray', operators.toArray);
+Observable.prototype.window = chainable('window', operators.window);
+Observable.prototype.windowCount = chainable('windowCount', operators.windowCount);
+Observable.prototype.windowTime = chainable('windowTime', operators.windowTime);
+Observable.prototype.buffer = chainable('buffer', operators.buffer);
+Observable.prototype.bufferCount = chainable('bufferCount', operators.bufferCount);
+Observable.prototype.bufferTime = chainable('bufferTime', operators.bufferTime);
+Observable.prototype.bufferToggle = chainable('bufferToggle', operators.bufferToggle);
+Observable.prototype.bufferWhen = chainable('bufferWhen', operators.bufferWhen);
+Observable.prototype.pairwise = chainable('pairwise', operators.pairwise);
+Observable.prototype.tag = chainable('tag', operators.tag);
+Observable.prototype.mergeMap = chainable('mergeMap', operators.mergeMap);
+Observable.prototype.switchMap = chainable('switchMap', operators.switchMap);
+Observable.prototype.concatMap = chainable('concatMap', operators.concatMap);
+Observable.prototype.exhaustMap = chainable('exhaustMap', operators.exhaustMap);
+Observable.prototype.mergeAll = chainable('mergeAll', operators.mergeAll);
+Observable.prototype.concatAll = chainable('concatAll', operators.concatAll);
+Observable.prototype.switchAll = chainable('switchAll', operators.switchAll);
+Observable.prototype.merge = chainable('merge', operators.merge);
+Observable.prototype.combineLatest = chainable('combineLatest', operators.combineLatest);
+Observable.prototype.zip = chainable('zip', operators.zip);
+Observable.prototype.forkJoin = chainable('forkJoin', operators.forkJoin);
+Observable.prototype.race = chainable('race', operators.race);
+Observable.prototype.withLatestFrom = chainable('withLatestFrom', operators.withLatestFrom);
+Observable.prototype.catch = chainable('catch', operators.catchError);
+Observable.prototype.retry = chainable('retry', operators.retry);
+Observable.prototype.retryWhen = chainable('retryWhen', operators.retryWhen);
+Observable.prototype.repeat = chainable('repeat', operators.repeat);
+Observable.prototype.repeatWhen = chainable('repeatWhen', operators.repeatWhen);
+Observable.prototype.onErrorResumeNext = chainable('onErrorResumeNext', operators.onErrorResumeNext);
+Observable.prototype.finally = chainable('finally', operators.finalize);
+Observable.prototype.debounce = chainable('debounce', operators.debounce);
+Observable.prototype.debounceTime = chainable('debounceTime', operators.debounceTime);
+Observable.prototype.throttle = chainable('throttle', operators.throttle);
+Observable.prototype.throttleTime = chainable('throttleTime', operators.throttleTime);
+Observable.prototype.audit = chainable('audit', operators.audit);
+Observable.prototype.auditTime = chainable('auditTime', operators.auditTime);
+Observable.prototype.sampleTime = chainable('sampleTime', operators.sampleTime);
+Observable.prototype.delayWhen = chainable('delayWhen', operators.delayWhen);
+Observable.prototype.delay = chainable('delay', operators.delay);
+Observable.prototype.multicast = chainable('multicast', operators.multicast);
+Observable.prototype.publish = chainable('publish', operators.publish);
+Observable.prototype.publishReplay = chainable('publishReplay', operators.publishReplay);
+Observable.prototype.publishLast = chainable('publishLast', operators.publishLast);
+Observable.prototype.publishBehavior = chainable('publishBehavior', operators.publishBehavior);
+Observable.prototype.share = chainable('share', operators.share);
+Observable.prototype.shareReplay = chainable('shareReplay', operators.shareReplay);
+Observable.prototype.onBackpressureBuffer = chainable('onBackpressureBuffer', operators.onBackpressureBuffer);
+Observable.prototype.onBackpressureDrop = chainable('onBackpressureDrop', operators.onBackpressureDrop);
+Observable.prototype.onBackpressureLatest = chainable('onBackpressureLatest', operators.onBackpressureLatest);
+
+// consumers settle promises or feed for await loops rather than returning Observables
+Observable.firstValueFrom = firstValueFrom;
+Observable.lastValueFrom = lastValueFrom;
+Observable.prototype.toPromise = function () {
+  return consumers.toPromise(this);
 };
-
-/**
- * Transformation operators : mapTo
- * Maps every value to the same value every time
- *
- * @see {@link https://www.learnrxjs.io/operators/transformation/mapto.html } for examples.
- *
- * @param constant
- * @returns {Observable}
- */
-Observable.prototype.mapTo = function (constant) {
+Observable.prototype.forEach = function (next) {
+  return consumers.forEach(this, next);
 };
-
-/**
- * Transformation operators : do
- * Transparently perform actions or side-effects, such as logging.
- *
- * @see {@link https://www.learnrxjs.io/operators/utility/do.html } for examples.
- *
- * @param next
- * @param error
- * @param complete
- * @returns {Observable}
- */
-Observable.prototype.do = function (next, error, complete) {
-};
-
-
-/**
- * Combinations operators : startWith
- * Emit given value first
- *
- * @see {@link https://www.learnrxjs.io/operators/combination/startwith.html} for examples.
- *
- * @param args {Array}
- * @returns {Observable}
- */
-Observable.prototype.startWith = function (...args) {
-};
-
-/**
- * Combinations operators : concat
- * Concatenates multiple Observables together by sequentially emitting their values, one Observable after the other.
- *
- * @see {@link https://www.learnrxjs.io/operators/combination/concat.html} for examples.
- *
- * @param args {Array}
- * @returns {Observable}
- */
-Observable.prototype.concat = Observable.concat = function (...observables) {
-};
-
-/**
- * Filtering operators : take
- * Takes the first count values from the source, then completes.
- *
- * @see {@link https://www.learnrxjs.io/operators/filtering/take.html } for examples.
- *
- * @param count {Number}
- * @returns {Observable}
- */
-Observable.prototype.take = function (count) {
-};
-
-/**
- * Filtering operators : first
- * Emits only the first value. Or emits only the first value that passes some test.
- *
- * @see {@link https://www.learnrxjs.io/operators/filtering/first.html } for examples.
- *
- * @param predicate {Function}
- * @returns {Observable}
- */
-Observable.prototype.first = function (predicate) {
-};
-
-/**
- * Filtering operators : skip
- * Returns an Observable that skips n items emitted by an Observable.
- *
- * @see {@link https://www.learnrxjs.io/operators/filtering/skip.html } for examples.
- *
- * @param the {Function}
- * @returns {Observable}
- */
-Observable.prototype.skip = function (the) {
+Observable.prototype.toAsyncIterator = function (options) {
+  return consumers.toAsyncIterator(this, options);
 };
+if (typeof Symbol.asyncIterator === 'symbol') {
+  Observable.prototype[Symbol.asyncIterator] = function () {
+    return consumers.toAsyncIterator(this);
+  };
+}
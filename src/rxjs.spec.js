@@ -1,30 +1,30 @@
 import {expect} from "chai";
-import {Observable} from "./rxjs";
+import sinon from 'sinon';
+import {EventEmitter} from 'events';
+import {Observable, Subject, EmptyError, ArgumentOutOfRangeError, SequenceError} from "./rxjs";
+import {TestScheduler} from "./testing";
+import {observable as symbolObservable} from './symbol';
 
 describe('Rxjs', () => {
 
   describe('Operators', () => {
+    let scheduler;
 
-    describe('interval :', () => {
+    beforeEach(() => {
+      scheduler = new TestScheduler((actual, expected) => expect(actual).deep.equal(expected));
+    });
 
-      it('should emit the sequence of values at 1-second interval', (done) => {
-        const source$ = Observable.interval(400);
-        let result = [];
-        const actual = [0, 1, 2];
-        const unsubscribe = source$
-          .subscribe(
-            val => result = [...result, val]
-          );
+    describe('interval :', () => {
 
-        setTimeout(() => {
-          unsubscribe();
-          expect(actual).deep.equals(result);
-          done();
-        }, 1500)
+      it('should emit the sequence of values at each period', () => {
+        const source$ = Observable.interval(40, scheduler);
+        const unsubscription = '^--------------!';
+        const expected = '----a---b---c';
+        scheduler.expectObservable(source$, unsubscription).toBe(expected, {a: 0, b: 1, c: 2});
+        scheduler.flush();
       });
-
-
     });
+
     describe('of :', () => {
 
       it('should emitting a sequence of numbers', (done) => {
@@ -194,6 +194,411 @@ describe('Rxjs', () => {
             }
           );
       });
+
+      it('should convert a Set and a generator to an Observable', () => {
+        function* letters() {
+          yield 'a';
+          yield 'b';
+        }
+        let result = [];
+        Observable.from(new Set([1, 2, 2])).subscribe(val => result = [...result, val]);
+        Observable.from(letters()).subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([1, 2, 'a', 'b']);
+      });
+
+      it('should stop pulling from an infinite generator once unsubscribed and run its finally block', () => {
+        const cleanup = sinon.spy();
+        let pulled = 0;
+        function* naturals() {
+          try {
+            for (let i = 0; ; i++) {
+              pulled++;
+              yield i;
+            }
+          } finally {
+            cleanup();
+          }
+        }
+        let result = [];
+        Observable.from(naturals()).take(3).subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([0, 1, 2]);
+        expect(pulled).equals(3);
+        expect(cleanup.calledOnce).equals(true);
+      });
+
+      it('should stop pulling from an infinite generator closed through a chain of operators', () => {
+        function* naturals() {
+          for (let i = 0; ; i++) {
+            yield i;
+          }
+        }
+        let result = [];
+        Observable.from(naturals()).map(x => x * 2).take(3).subscribe(val => result = [...result, val]);
+        Observable.from(naturals()).filter(x => x % 2).take(2).subscribe(val => result = [...result, val]);
+        Observable.from(naturals()).scan((sum, x) => sum + x).takeWhile(sum => sum < 4)
+          .subscribe(val => result = [...result, val]);
+        Observable.from(naturals()).mergeMap(x => Observable.from(naturals()).mapTo(x)).first()
+          .subscribe(val => result = [...result, val]);
+        Observable.range(0, 1e9).map(x => x + 1).first().subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([0, 2, 4, 1, 3, 0, 1, 3, 0, 1]);
+      });
+
+      it('should stop pulling from an infinite generator closed through startWith and concat', () => {
+        function* naturals() {
+          for (let i = 0; ; i++) {
+            yield i;
+          }
+        }
+        let result = [];
+        Observable.from(naturals()).startWith(-1).take(3).subscribe(val => result = [...result, val]);
+        Observable.concat(Observable.from(naturals()), Observable.of(1)).take(3)
+          .subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([-1, 0, 1, 0, 1, 2]);
+      });
+
+      it('should stop pulling from an infinite generator closed through the combination operators and share', () => {
+        function* naturals() {
+          for (let i = 0; ; i++) {
+            yield i;
+          }
+        }
+        const take3 = (source$) => {
+          let result = [];
+          source$.take(3).subscribe(val => result = [...result, val]);
+          return result;
+        };
+        expect(take3(Observable.combineLatest(Observable.of(1), Observable.from(naturals()))))
+          .deep.equals([[1, 0], [1, 1], [1, 2]]);
+        expect(take3(Observable.zip(Observable.of('a', 'b', 'c', 'd'), Observable.from(naturals()))))
+          .deep.equals([['a', 0], ['b', 1], ['c', 2]]);
+        expect(take3(Observable.race(Observable.from(naturals()), Observable.never()))).deep.equals([0, 1, 2]);
+        expect(take3(Observable.using(() => () => {}, () => Observable.from(naturals())))).deep.equals([0, 1, 2]);
+        expect(take3(Observable.onErrorResumeNext(Observable.from(naturals())))).deep.equals([0, 1, 2]);
+        expect(take3(Observable.from(naturals()).share())).deep.equals([0, 1, 2]);
+        expect(take3(Observable.from(naturals()).withLatestFrom(Observable.of('a')))).deep.equals([[0, 'a'], [1, 'a'], [2, 'a']]);
+      });
+
+      it('should convert array-likes to an Observable', () => {
+        let result = [];
+        (function () {
+          Observable.from(arguments).subscribe(val => result = [...result, val]);
+        })(1, 2);
+        Observable.from({length: 2, 0: 'a', 1: 'b'}).subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([1, 2, 'a', 'b']);
+      });
+
+      it('should convert an async iterable to an Observable', (done) => {
+        let index = 0;
+        const asyncIterable = {
+          [Symbol.asyncIterator]: () => ({
+            next: () => Promise.resolve(index < 3 ? {value: index++, done: false} : {done: true})
+          })
+        };
+        let result = [];
+        Observable.from(asyncIterable).subscribe(
+          val => result = [...result, val],
+          done,
+          () => {
+            expect(result).deep.equals([0, 1, 2]);
+            done();
+          }
+        );
+      });
+
+      it('should return an async iterator unsubscribed from', (done) => {
+        const stop = sinon.spy();
+        const asyncIterable = {
+          [Symbol.asyncIterator]: () => ({
+            next: () => Promise.resolve({value: 'tick', done: false}),
+            return: stop
+          })
+        };
+        let result = [];
+        const subscription = Observable.from(asyncIterable).subscribe(val => {
+          result = [...result, val];
+          if (result.length === 2) {
+            subscription.unsubscribe();
+          }
+        });
+        setTimeout(() => {
+          expect(result).deep.equals(['tick', 'tick']);
+          expect(stop.calledOnce).equals(true);
+          done();
+        }, 10);
+      });
+
+      it('should convert an Observable of another implementation exposing Symbol.observable', () => {
+        const unsubscribe = sinon.spy();
+        const foreign = {
+          [symbolObservable]: () => ({
+            subscribe: observer => {
+              observer.next(1);
+              observer.next(2);
+              return {unsubscribe};
+            }
+          })
+        };
+        let result = [];
+        Observable.from(foreign).take(1).subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([1]);
+        expect(unsubscribe.calledOnce).equals(true);
+      });
+
+      it('should throw on inputs it cannot convert', () => {
+        expect(() => Observable.from(42)).to.throw(TypeError);
+      });
+    });
+
+    describe('fromEvent :', () => {
+
+      it('should emit the events of a node EventEmitter until unsubscribed', () => {
+        const emitter = new EventEmitter();
+        let result = [];
+        const subscription = Observable.fromEvent(emitter, 'data').subscribe(val => result = [...result, val]);
+        emitter.emit('data', 1);
+        emitter.emit('data', 2, 3);
+        subscription.unsubscribe();
+        emitter.emit('data', 4);
+        expect(result).deep.equals([1, [2, 3]]);
+        expect(emitter.listenerCount('data')).equals(0);
+      });
+
+      it('should add and remove a DOM event listener with its options', () => {
+        const options = {passive: true};
+        const target = {
+          addEventListener: sinon.spy(),
+          removeEventListener: sinon.spy()
+        };
+        let result = [];
+        const subscription = Observable.fromEvent(target, 'click', options).subscribe(val => result = [...result, val]);
+        const [eventName, handler, addOptions] = target.addEventListener.args[0];
+        handler({type: 'click'});
+        subscription.unsubscribe();
+        expect(eventName).equals('click');
+        expect(addOptions).equals(options);
+        expect(result).deep.equals([{type: 'click'}]);
+        expect(target.removeEventListener.calledWith('click', handler, options)).equals(true);
+      });
+
+      it('should error on targets it cannot listen to', () => {
+        let error;
+        Observable.fromEvent({}, 'click').subscribe(() => {
+        }, err => error = err);
+        expect(error).instanceOf(TypeError);
+      });
+    });
+
+    describe('fromEventPattern :', () => {
+
+      it('should register the handler on subscribe and remove it with the signal on unsubscribe', () => {
+        let registered;
+        const removeHandler = sinon.spy();
+        const source$ = Observable.fromEventPattern(handler => {
+          registered = handler;
+          return 'token';
+        }, removeHandler);
+        let result = [];
+        const subscription = source$.subscribe(val => result = [...result, val]);
+        registered('a');
+        subscription.unsubscribe();
+        expect(result).deep.equals(['a']);
+        expect(removeHandler.calledWith(registered, 'token')).equals(true);
+      });
+    });
+
+    describe('bindCallback :', () => {
+
+      it('should emit the callback arguments then complete', () => {
+        const sum = (a, b, callback) => callback(a + b);
+        const divide = (a, b, callback) => callback(Math.floor(a / b), a % b);
+        let result = [];
+        const complete = sinon.spy();
+        Observable.bindCallback(sum)(1, 2).subscribe(val => result = [...result, val], undefined, complete);
+        Observable.bindCallback(divide)(7, 2).subscribe(val => result = [...result, val], undefined, complete);
+        expect(result).deep.equals([3, [3, 1]]);
+        expect(complete.calledTwice).equals(true);
+      });
+
+      it('should call the function once, on the first subscription, with its this', (done) => {
+        const calls = sinon.spy();
+        const api = {
+          value: 'result',
+          load(callback) {
+            calls();
+            setTimeout(() => callback(this.value));
+          }
+        };
+        api.load$ = Observable.bindCallback(api.load);
+        const source$ = api.load$();
+        expect(calls.called).equals(false);
+        let result = [];
+        source$.subscribe(val => result = [...result, val]);
+        source$.subscribe(val => result = [...result, val], undefined, () => {
+          expect(result).deep.equals(['result', 'result']);
+          expect(calls.calledOnce).equals(true);
+          done();
+        });
+      });
+    });
+
+    describe('bindNodeCallback :', () => {
+
+      it('should emit the results of a node style callback', () => {
+        const read = (path, callback) => callback(null, `content of ${path}`);
+        let result = [];
+        Observable.bindNodeCallback(read)('file.txt').subscribe(val => result = [...result, val]);
+        expect(result).deep.equals(['content of file.txt']);
+      });
+
+      it('should send the callback error and the thrown errors to the error channel', () => {
+        const fail = (callback) => callback(new Error('ENOENT'));
+        const throwing = () => {
+          throw 'boom';
+        };
+        let errors = [];
+        Observable.bindNodeCallback(fail)().subscribe(() => {
+        }, err => errors = [...errors, err.message]);
+        Observable.bindNodeCallback(throwing)().subscribe(() => {
+        }, err => errors = [...errors, err]);
+        expect(errors).deep.equals(['ENOENT', 'boom']);
+      });
+    });
+
+    describe('range :', () => {
+
+      it('should emit count numbers from start', () => {
+        let result = [];
+        Observable.range(3, 4).subscribe(val => result = [...result, val]);
+        Observable.range(2).subscribe(val => result = [...result, val]);
+        Observable.range(1, 0).subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([3, 4, 5, 6, 0, 1]);
+      });
+    });
+
+    describe('timer :', () => {
+
+      it('should emit 0 once dueTime elapsed then complete', () => {
+        scheduler.expectObservable(Observable.timer(30, scheduler)).toBe('---(0|)', {0: 0});
+        scheduler.flush();
+      });
+
+      it('should keep emitting every period', () => {
+        const expected = '---0-1-2-(3|)';
+        scheduler.expectObservable(Observable.timer(30, 20, scheduler).take(4)).toBe(expected, {0: 0, 1: 1, 2: 2, 3: 3});
+        scheduler.flush();
+      });
+
+      it('should wait until dueTime when it is a Date', () => {
+        let emittedAt = null;
+        scheduler.schedule(() => Observable.timer(new Date(50), scheduler).subscribe(() => emittedAt = scheduler.now()), 20);
+        scheduler.flush();
+        expect(emittedAt).equals(50);
+      });
+    });
+
+    describe('empty / never / throw :', () => {
+
+      it('should complete, do nothing or error right away', () => {
+        scheduler.expectObservable(Observable.empty()).toBe('|');
+        scheduler.expectObservable(Observable.never()).toBe('-');
+        scheduler.expectObservable(Observable.throw('boom')).toBe('#', null, 'boom');
+        scheduler.flush();
+      });
+    });
+
+    describe('defer :', () => {
+
+      it('should call the factory on each subscription', () => {
+        let calls = 0;
+        const deferred$ = Observable.defer(() => [++calls]);
+        let result = [];
+        deferred$.subscribe(val => result = [...result, val]);
+        deferred$.subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([1, 2]);
+      });
+
+      it('should accept promises and send the errors of the factory to the error channel', (done) => {
+        let errors = [];
+        Observable.defer(() => {
+          throw 'boom';
+        }).subscribe(() => {
+        }, err => errors = [...errors, err]);
+        expect(errors).deep.equals(['boom']);
+        Observable.defer(() => Promise.resolve(42)).subscribe(val => {
+          expect(val).equals(42);
+          done();
+        });
+      });
+    });
+
+    describe('iif :', () => {
+
+      it('should decide which Observable to subscribe to on each subscription', () => {
+        let ready = false;
+        const result$ = Observable.iif(() => ready, Observable.of('ready'), ['waiting']);
+        let result = [];
+        result$.subscribe(val => result = [...result, val]);
+        ready = true;
+        result$.subscribe(val => result = [...result, val]);
+        expect(result).deep.equals(['waiting', 'ready']);
+      });
+
+      it('should complete right away without the Observable it picked', () => {
+        scheduler.expectObservable(Observable.iif(() => false, Observable.of(1))).toBe('|');
+        scheduler.flush();
+      });
+    });
+
+    describe('generate :', () => {
+
+      it('should emit the states of the loop while the condition holds', () => {
+        let result = [];
+        Observable.generate(1, x => x < 20, x => x * 3, x => `#${x}`).subscribe(
+          val => result = [...result, val],
+          undefined,
+          () => result = [...result, '|']
+        );
+        expect(result).deep.equals(['#1', '#3', '#9', '|']);
+      });
+
+      it('should stop iterating on unsubscribe', () => {
+        let result = [];
+        Observable.generate(0, () => true, x => x + 1).take(3).subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([0, 1, 2]);
+      });
+    });
+
+    describe('using :', () => {
+
+      it('should dispose the resource once the Observable completes', () => {
+        const resource = {unsubscribe: sinon.spy(), values: [1, 2]};
+        let result = [];
+        Observable.using(() => resource, ({values}) => values).subscribe(val => {
+          expect(resource.unsubscribe.called).equals(false);
+          result = [...result, val];
+        });
+        expect(result).deep.equals([1, 2]);
+        expect(resource.unsubscribe.calledOnce).equals(true);
+      });
+
+      it('should dispose the resource on unsubscribe', () => {
+        const dispose = sinon.spy();
+        const subscription = Observable.using(() => dispose, () => scheduler.cold('-a-b-|')).subscribe();
+        scheduler.schedule(() => subscription.unsubscribe(), 2);
+        scheduler.flush();
+        expect(dispose.calledOnce).equals(true);
+      });
+
+      it('should dispose the resource when the observable factory throws', () => {
+        const dispose = sinon.spy();
+        let errors = [];
+        Observable.using(() => dispose, () => {
+          throw 'boom';
+        }).subscribe(() => {
+        }, err => errors = [...errors, err]);
+        expect(errors).deep.equals(['boom']);
+        expect(dispose.calledOnce).equals(true);
+      });
     });
 
     describe('map :', () => {
@@ -466,5 +871,1067 @@ describe('Rxjs', () => {
           );
       });
     });
+
+    describe('takeUntil :', () => {
+
+      it('should complete once the notifier emits', () => {
+        const source$ = scheduler.cold('-a-b-c-d-|');
+        const notifier$ = scheduler.cold('----x');
+        scheduler.expectObservable(source$.takeUntil(notifier$)).toBe('-a-b|');
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('^---!');
+        scheduler.expectSubscriptions(notifier$.subscriptions).toBe('^---!');
+        scheduler.flush();
+      });
+
+      it('should not subscribe to the source when the notifier emits right away', () => {
+        const source$ = scheduler.cold('-a-|');
+        scheduler.expectObservable(source$.takeUntil(Observable.of(true))).toBe('|');
+        scheduler.expectSubscriptions(source$.subscriptions).toBe([]);
+        scheduler.flush();
+      });
+    });
+
+    describe('takeWhile :', () => {
+
+      it('should complete on the first value failing the predicate', () => {
+        const source$ = scheduler.cold('-a-b-c-d-|', {a: 1, b: 2, c: 3, d: 1});
+        scheduler.expectObservable(source$.takeWhile(num => num < 3)).toBe('-a-b-|', {a: 1, b: 2});
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('^----!');
+        scheduler.flush();
+      });
+    });
+
+    describe('skipWhile :', () => {
+
+      it('should emit every value from the first one failing the predicate', () => {
+        const source$ = scheduler.cold('-a-b-c-b-|', {a: 1, b: 2, c: 3});
+        scheduler.expectObservable(source$.skipWhile(num => num < 3)).toBe('-----c-b-|', {b: 2, c: 3});
+        scheduler.flush();
+      });
+    });
+
+    describe('skipUntil :', () => {
+
+      it('should emit the values arriving after the notifier emitted', () => {
+        const source$ = scheduler.cold('-a-b-c-d-|');
+        const notifier$ = scheduler.cold('----x');
+        scheduler.expectObservable(source$.skipUntil(notifier$)).toBe('-----c-d-|');
+        scheduler.expectSubscriptions(notifier$.subscriptions).toBe('^---!');
+        scheduler.flush();
+      });
+    });
+
+    describe('distinctUntilChanged :', () => {
+
+      it('should skip the values equal to the previous one', () => {
+        const source$ = scheduler.cold('-a-a-b-b-a-|');
+        scheduler.expectObservable(source$.distinctUntilChanged()).toBe('-a---b---a-|');
+        scheduler.flush();
+      });
+
+      it('should compare the keys given by keySelector with compare', () => {
+        const values = {a: {id: 1}, b: {id: 1}, c: {id: 2}};
+        const source$ = scheduler.cold('-a-b-c-|', values);
+        const sameId = (previous, current) => previous === current;
+        scheduler.expectObservable(source$.distinctUntilChanged(sameId, person => person.id)).toBe('-a---c-|', values);
+        scheduler.flush();
+      });
+    });
+
+    describe('distinct :', () => {
+
+      it('should skip the values already emitted', () => {
+        const source$ = scheduler.cold('-a-b-a-c-b-|');
+        scheduler.expectObservable(source$.distinct()).toBe('-a-b---c---|');
+        scheduler.flush();
+      });
+
+      it('should forget the emitted keys each time flushes emits', () => {
+        const source$ = scheduler.cold('-a-b-a-c-b-|');
+        const flushes$ = scheduler.cold('------f');
+        scheduler.expectObservable(source$.distinct(undefined, flushes$)).toBe('-a-b---c-b-|');
+        scheduler.flush();
+      });
+    });
+
+    describe('takeLast :', () => {
+
+      it('should emit the last values on completion', () => {
+        const source$ = scheduler.cold('-a-b-c-|');
+        scheduler.expectObservable(source$.takeLast(2)).toBe('-------(bc|)');
+        scheduler.expectObservable(source$.takeLast(0)).toBe('-------|');
+        scheduler.flush();
+      });
+    });
+
+    describe('last :', () => {
+
+      it('should emit the last value, or the last one passing the predicate, on completion', () => {
+        const source$ = scheduler.cold('-a-b-c-|');
+        scheduler.expectObservable(source$.last()).toBe('-------(c|)');
+        scheduler.expectObservable(source$.last(val => val !== 'c')).toBe('-------(b|)');
+        scheduler.flush();
+      });
+
+      it('should emit the default value or error with an EmptyError when no value was found', () => {
+        let result = [];
+        Observable.of().last(undefined, 'default').subscribe(val => result = [...result, val]);
+        Observable.of(1, 2).last(num => num > 2).subscribe(() => {
+        }, err => result = [...result, err]);
+        expect(result[0]).equals('default');
+        expect(result[1]).instanceOf(EmptyError);
+      });
+    });
+
+    describe('elementAt :', () => {
+
+      it('should emit the value at index then complete', () => {
+        const source$ = scheduler.cold('-a-b-c-|');
+        scheduler.expectObservable(source$.elementAt(1)).toBe('---(b|)');
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('^--!');
+        scheduler.flush();
+      });
+
+      it('should emit the default value or error with an ArgumentOutOfRangeError past the last value', () => {
+        let result = [];
+        Observable.of(1).elementAt(3, 'default').subscribe(val => result = [...result, val]);
+        Observable.of(1).elementAt(3).subscribe(() => {
+        }, err => result = [...result, err]);
+        expect(result[0]).equals('default');
+        expect(result[1]).instanceOf(ArgumentOutOfRangeError);
+        expect(() => Observable.of(1).elementAt(-1)).to.throw(ArgumentOutOfRangeError);
+      });
+    });
+
+    describe('single :', () => {
+
+      it('should emit the only value passing the predicate', () => {
+        const source$ = scheduler.cold('-a-b-c-|');
+        scheduler.expectObservable(source$.single(val => val === 'b')).toBe('-------(b|)');
+        scheduler.flush();
+      });
+
+      it('should error with a SequenceError as soon as a second value passes the predicate', () => {
+        let error;
+        let unsubscribed = false;
+        new Observable(observer => {
+          observer.next(1);
+          observer.next(2);
+          observer.next(3);
+          return () => unsubscribed = true;
+        }).single().subscribe(() => {
+        }, err => error = err);
+        expect(error).instanceOf(SequenceError);
+        expect(unsubscribed).equals(true);
+      });
+
+      it('should error with an EmptyError when no value passes the predicate', () => {
+        let error;
+        Observable.of(1, 2).single(num => num > 2).subscribe(() => {
+        }, err => error = err);
+        expect(error).instanceOf(EmptyError);
+      });
+    });
+
+    describe('ignoreElements :', () => {
+
+      it('should only mirror the completion', () => {
+        const source$ = scheduler.cold('-a-b-|');
+        scheduler.expectObservable(source$.ignoreElements()).toBe('-----|');
+        scheduler.flush();
+      });
+    });
+
+    describe('every :', () => {
+
+      it('should emit true once the source completed with every value passing the predicate', () => {
+        const source$ = scheduler.cold('-a-b-|', {a: 2, b: 4});
+        scheduler.expectObservable(source$.every(num => num % 2 === 0)).toBe('-----(t|)', {t: true});
+        scheduler.flush();
+      });
+
+      it('should emit false and unsubscribe from the source on the first value failing the predicate', () => {
+        const source$ = Observable.interval(10, scheduler).map(num => num * 2 + 1);
+        scheduler.expectObservable(source$.every(num => num < 5)).toBe('---(f|)', {f: false});
+        scheduler.flush();
+        expect(scheduler.actions).deep.equals([]);
+      });
+    });
+
+    describe('find / findIndex :', () => {
+
+      it('should emit the first value passing the predicate, or its index, and unsubscribe from the source', () => {
+        const source$ = Observable.interval(10, scheduler);
+        scheduler.expectObservable(source$.find(num => num > 2)).toBe('----(v|)', {v: 3});
+        scheduler.expectObservable(source$.map(num => `#${num}`).findIndex(val => val === '#1')).toBe('--(i|)', {i: 1});
+        scheduler.flush();
+        expect(scheduler.actions).deep.equals([]);
+      });
+
+      it('should emit undefined, or -1, when no value passes the predicate', () => {
+        const source$ = scheduler.cold('-a-|');
+        scheduler.expectObservable(source$.find(val => val === 'z')).toBe('---(u|)', {u: undefined});
+        scheduler.expectObservable(source$.findIndex(val => val === 'z')).toBe('---(i|)', {i: -1});
+        scheduler.flush();
+      });
+    });
+
+    describe('isEmpty :', () => {
+
+      it('should tell whether the source completes without value', () => {
+        scheduler.expectObservable(scheduler.cold('---|').isEmpty()).toBe('---(t|)', {t: true});
+        scheduler.expectObservable(Observable.interval(10, scheduler).isEmpty()).toBe('-(f|)', {f: false});
+        scheduler.flush();
+      });
+    });
+
+    describe('defaultIfEmpty :', () => {
+
+      it('should emit the default value when the source completes without value', () => {
+        scheduler.expectObservable(scheduler.cold('--|').defaultIfEmpty('d')).toBe('--(d|)');
+        scheduler.expectObservable(scheduler.cold('-a|').defaultIfEmpty('d')).toBe('-a|');
+        scheduler.expectObservable(scheduler.cold('|').defaultIfEmpty()).toBe('(n|)', {n: null});
+        scheduler.flush();
+      });
+    });
+
+    describe('sequenceEqual :', () => {
+
+      it('should emit true once both sequences completed with the same values', () => {
+        const source$ = scheduler.cold('-a--b-c|');
+        const other$ = scheduler.cold('--a-bc---|');
+        scheduler.expectObservable(source$.sequenceEqual(other$)).toBe('---------(t|)', {t: true});
+        scheduler.flush();
+      });
+
+      it('should emit false as soon as the sequences differ', () => {
+        const source$ = scheduler.cold('-a-b-c|');
+        const other$ = scheduler.cold('-a-x---|');
+        scheduler.expectObservable(source$.sequenceEqual(other$)).toBe('---(f|)', {f: false});
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('^--!');
+        scheduler.expectSubscriptions(other$.subscriptions).toBe('^--!');
+        scheduler.flush();
+      });
+
+      it('should emit false when one sequence is longer', () => {
+        const source$ = scheduler.cold('-a-b|');
+        scheduler.expectObservable(source$.sequenceEqual(scheduler.cold('-a|'))).toBe('---(f|)', {f: false});
+        scheduler.expectObservable(source$.sequenceEqual(scheduler.cold('-a-b-c|'))).toBe('-----(f|)', {f: false});
+        scheduler.flush();
+      });
+
+      it('should compare the values with the comparator', () => {
+        let result = [];
+        Observable.of(1, 2, 3).sequenceEqual([10, 20, 30], (a, b) => a * 10 === b).subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([true]);
+      });
+    });
+
+    describe('scan :', () => {
+
+      it('should emit each intermediate accumulation', () => {
+        const source$ = scheduler.cold('-a-b-c-|', {a: 1, b: 2, c: 3});
+        const expected = '-x-y-z-|';
+        scheduler.expectObservable(source$.scan((total, num) => total + num, 10)).toBe(expected, {x: 11, y: 13, z: 16});
+        scheduler.flush();
+      });
+
+      it('should start with the first value without seed', () => {
+        const source$ = scheduler.cold('-a-b-c-|', {a: 1, b: 2, c: 3});
+        const expected = '-x-y-z-|';
+        scheduler.expectObservable(source$.scan((total, num) => total + num)).toBe(expected, {x: 1, y: 3, z: 6});
+        scheduler.flush();
+      });
+
+      it('should error when the accumulator throws', () => {
+        const source$ = scheduler.cold('-a-b-c-|');
+        const expected = '-a-#';
+        scheduler.expectObservable(source$.scan(() => {
+          throw 'boom';
+        })).toBe(expected, null, 'boom');
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('^--!');
+        scheduler.flush();
+      });
+    });
+
+    describe('reduce :', () => {
+
+      it('should only emit the final accumulation on completion', () => {
+        const source$ = scheduler.cold('-a-b-c-|', {a: 1, b: 2, c: 3});
+        const expected = '-------(x|)';
+        scheduler.expectObservable(source$.reduce((total, num) => total + num, 0)).toBe(expected, {x: 6});
+        scheduler.flush();
+      });
+
+      it('should emit the seed of an empty source, or nothing without seed', () => {
+        const source$ = scheduler.cold('---|');
+        scheduler.expectObservable(source$.reduce((total, num) => total + num, 0)).toBe('---(x|)', {x: 0});
+        scheduler.expectObservable(source$.reduce((total, num) => total + num)).toBe('---|');
+        scheduler.flush();
+      });
+
+      it('should not emit when the source errors', () => {
+        const source$ = scheduler.cold('-a-#');
+        scheduler.expectObservable(source$.reduce((total, num) => total + num, '')).toBe('---#');
+        scheduler.flush();
+      });
+    });
+
+    describe('count :', () => {
+
+      it('should count all the values, or those passing the predicate', () => {
+        const source$ = scheduler.cold('-a-b-c-|', {a: 1, b: 2, c: 3});
+        scheduler.expectObservable(source$.count()).toBe('-------(x|)', {x: 3});
+        scheduler.expectObservable(source$.count(num => num % 2 === 1)).toBe('-------(x|)', {x: 2});
+        scheduler.flush();
+      });
+    });
+
+    describe('min / max :', () => {
+
+      it('should emit the smallest and the largest value', () => {
+        const source$ = scheduler.cold('-a-b-c-|', {a: 5, b: 1, c: 8});
+        scheduler.expectObservable(source$.min()).toBe('-------(x|)', {x: 1});
+        scheduler.expectObservable(source$.max()).toBe('-------(x|)', {x: 8});
+        scheduler.flush();
+      });
+
+      it('should compare values with the comparer', () => {
+        const people = {a: {name: 'Joe', age: 30}, b: {name: 'Frank', age: 20}, c: {name: 'Ryan', age: 50}};
+        const source$ = scheduler.cold('-a-b-c-|', people);
+        const byAge = (a, b) => a.age - b.age;
+        scheduler.expectObservable(source$.min(byAge)).toBe('-------(x|)', {x: people.b});
+        scheduler.expectObservable(source$.max(byAge)).toBe('-------(x|)', {x: people.c});
+        scheduler.flush();
+      });
+
+      it('should complete without value on an empty source', () => {
+        scheduler.expectObservable(scheduler.cold('--|').max()).toBe('--|');
+        scheduler.flush();
+      });
+    });
+
+    describe('toArray :', () => {
+
+      it('should emit all the values in an array on completion', () => {
+        const source$ = scheduler.cold('-a-b-c-|');
+        scheduler.expectObservable(source$.toArray()).toBe('-------(x|)', {x: ['a', 'b', 'c']});
+        scheduler.expectObservable(scheduler.cold('--|').toArray()).toBe('--(x|)', {x: []});
+        scheduler.flush();
+      });
+
+      it('should collect the values of each subscription in its own array', () => {
+        const source$ = Observable.of(1, 2).toArray();
+        let result = [];
+        source$.subscribe(val => result = [...result, val]);
+        source$.subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([[1, 2], [1, 2]]);
+        expect(result[0]).not.equals(result[1]);
+      });
+    });
+
+    describe('buffer :', () => {
+
+      it('should emit the values collected each time the notifier emits and flush them on completion', () => {
+        const source$ = scheduler.cold('-a-b-c-d-e-|');
+        const notifier$ = scheduler.cold('----x---x---');
+        const expected = '----x---y--(z|)';
+        scheduler.expectObservable(source$.buffer(notifier$)).toBe(expected, {x: ['a', 'b'], y: ['c', 'd'], z: ['e']});
+        scheduler.flush();
+      });
+
+      it('should discard the open buffer when the source errors', () => {
+        const source$ = scheduler.cold('-a-#');
+        scheduler.expectObservable(source$.buffer(scheduler.cold('-----x'))).toBe('---#');
+        scheduler.flush();
+      });
+    });
+
+    describe('bufferCount :', () => {
+
+      it('should emit buffers of size values', () => {
+        const source$ = scheduler.cold('-a-b-c-d-e-|');
+        const expected = '---x---y---(z|)';
+        scheduler.expectObservable(source$.bufferCount(2)).toBe(expected, {x: ['a', 'b'], y: ['c', 'd'], z: ['e']});
+        scheduler.flush();
+      });
+
+      it('should start a new buffer every startEvery values', () => {
+        const source$ = scheduler.cold('-a-b-c-d-e-|');
+        scheduler.expectObservable(source$.bufferCount(2, 1)).toBe('---v-w-x-y-(z|)', {
+          v: ['a', 'b'], w: ['b', 'c'], x: ['c', 'd'], y: ['d', 'e'], z: ['e']
+        });
+        scheduler.expectObservable(source$.bufferCount(2, 3)).toBe('---x-----y-|', {x: ['a', 'b'], y: ['d', 'e']});
+        scheduler.flush();
+      });
+    });
+
+    describe('bufferTime :', () => {
+
+      it('should emit the values collected during each time span', () => {
+        const source$ = scheduler.cold('-a-b-c-d-e-|');
+        const expected = '----x---y--(z|)';
+        scheduler.expectObservable(source$.bufferTime(40, scheduler))
+          .toBe(expected, {x: ['a', 'b'], y: ['c', 'd'], z: ['e']});
+        scheduler.flush();
+      });
+
+      it('should emit a buffer early once it holds maxSize values', () => {
+        const source$ = scheduler.cold('-a-b-c-d-e-|');
+        const expected = '---x---y---(z|)';
+        scheduler.expectObservable(source$.bufferTime(40, null, 2, scheduler))
+          .toBe(expected, {x: ['a', 'b'], y: ['c', 'd'], z: ['e']});
+        scheduler.flush();
+      });
+
+      it('should start a new buffer every creationInterval', () => {
+        const source$ = scheduler.cold('-a---b--|');
+        const expected = '--x---y-|';
+        scheduler.expectObservable(source$.bufferTime(20, 40, scheduler)).toBe(expected, {x: ['a'], y: ['b']});
+        scheduler.flush();
+      });
+    });
+
+    describe('bufferToggle :', () => {
+
+      it('should collect values from each opening until its closing Observable emits', () => {
+        const source$ = scheduler.cold('-a-b-c-d-e-|');
+        const openings$ = scheduler.cold('--o-----o');
+        const closing$ = scheduler.cold('----c|');
+        const expected = '------x----(y|)';
+        scheduler.expectObservable(source$.bufferToggle(openings$, () => closing$))
+          .toBe(expected, {x: ['b', 'c'], y: ['e']});
+        scheduler.flush();
+      });
+
+      it('should keep overlapping buffers apart and close each buffer once', () => {
+        const source$ = scheduler.cold('-a-b-c-d-|');
+        const openings$ = scheduler.cold('--o-o');
+        const closing$ = scheduler.cold('----c|');
+        scheduler.expectObservable(source$.bufferToggle(openings$, () => closing$))
+          .toBe('------x-y|', {x: ['b', 'c'], y: ['c', 'd']});
+        scheduler.expectObservable(source$.bufferToggle(openings$, () => Observable.of(1, 2)))
+          .toBe('--x-x----|', {x: []});
+        scheduler.flush();
+      });
+    });
+
+    describe('bufferWhen :', () => {
+
+      it('should emit the values collected until each closing Observable emits', () => {
+        const source$ = scheduler.cold('-a-b-c-d-e-|');
+        const closing$ = scheduler.cold('----x|');
+        const expected = '----x---y--(z|)';
+        scheduler.expectObservable(source$.bufferWhen(() => closing$))
+          .toBe(expected, {x: ['a', 'b'], y: ['c', 'd'], z: ['e']});
+        scheduler.expectSubscriptions(closing$.subscriptions).toBe(['^---!', '----^---!', '--------^--!']);
+        scheduler.flush();
+      });
+    });
+
+    describe('window :', () => {
+
+      it('should emit windows closed each time the boundaries emit', () => {
+        const source$ = scheduler.cold('-a-b-c-d-e-|');
+        const boundaries$ = scheduler.cold('----x---x---');
+        const expected = '----x---y--(z|)';
+        scheduler.expectObservable(source$.window(boundaries$).mergeMap(window$ => window$.count()))
+          .toBe(expected, {x: 2, y: 2, z: 1});
+        scheduler.flush();
+      });
+    });
+
+    describe('windowCount :', () => {
+
+      it('should emit windows of size values', () => {
+        const source$ = scheduler.cold('-a-b-c-|');
+        const expected = '-x-y-z-|';
+        scheduler.expectObservable(source$.windowCount(2).mergeMap((window$, i) => window$.map(val => val + i)))
+          .toBe(expected, {x: 'a0', y: 'b0', z: 'c1'});
+        scheduler.flush();
+      });
+
+      it('should error the open windows when the source errors', () => {
+        const source$ = scheduler.cold('-a-#');
+        scheduler.expectObservable(source$.windowCount(3).mergeAll()).toBe('-a-#');
+        scheduler.flush();
+      });
+    });
+
+    describe('windowTime :', () => {
+
+      it('should open a window when subscribed and every time span', () => {
+        const source$ = scheduler.cold('-a-b-c-d-e-|');
+        const expected = 'w---w---w--|';
+        scheduler.expectObservable(source$.windowTime(40, scheduler).mapTo('w')).toBe(expected);
+        scheduler.flush();
+      });
+    });
+
+    describe('pairwise :', () => {
+
+      it('should emit the previous and the current value', () => {
+        const source$ = scheduler.cold('-a-b-c-|');
+        const expected = '---x-y-|';
+        scheduler.expectObservable(source$.pairwise()).toBe(expected, {x: ['a', 'b'], y: ['b', 'c']});
+        scheduler.flush();
+      });
+    });
+
+    describe('mergeMap :', () => {
+      it('should flatten every inner observable', () => {
+        const source$ = scheduler.cold('-a---b---|');
+        const inner$ = scheduler.cold('-x-x|');
+        const expected = '--x-x-x-x|';
+        scheduler.expectObservable(source$.mergeMap(() => inner$)).toBe(expected);
+        scheduler.flush();
+      });
+
+      it('should limit the number of active inner observables', () => {
+        const source$ = scheduler.cold('abc|');
+        const inners = {a: scheduler.cold('--a|'), b: scheduler.cold('--b|'), c: scheduler.cold('--c|')};
+        const expected = '--ab-c|';
+        scheduler.expectObservable(source$.mergeMap(val => inners[val], 2)).toBe(expected);
+        scheduler.flush();
+      });
+
+      it('should accept promises, arrays and strings as inner results', (done) => {
+        const source$ = Observable.of(1, 2, 3)
+          .mergeMap(num => num === 1 ? Promise.resolve('p') : num === 2 ? [20, 21] : 'ab');
+        let result = [];
+        source$
+          .subscribe(
+            val => result = [...result, val],
+            () => {
+            },
+            () => {
+              expect(result).deep.equals([20, 21, 'a', 'b', 'p']);
+              done();
+            }
+          );
+      });
+
+      it('should apply the result selector', (done) => {
+        let result = [];
+        Observable.of(1, 2)
+          .mergeMap(num => [num * 10], (outer, inner, outerIndex) => [outer, inner, outerIndex])
+          .subscribe(val => result = [...result, val], () => {
+          }, () => {
+            expect(result).deep.equals([[1, 10, 0], [2, 20, 1]]);
+            done();
+          });
+      });
+
+      it('should unsubscribe from the inner observables with the outer one', () => {
+        const source$ = scheduler.cold('-a-b-|');
+        const inner$ = scheduler.cold('--x--x--x|');
+        scheduler.expectObservable(source$.mergeMap(() => inner$), '^------!').toBe('---x-xx');
+        scheduler.expectSubscriptions(inner$.subscriptions).toBe(['-^-----!', '---^---!']);
+        scheduler.flush();
+      });
+
+      it('should error when an inner observable errors', () => {
+        const source$ = scheduler.cold('-a-b-|');
+        const inner$ = scheduler.cold('-#');
+        scheduler.expectObservable(source$.mergeMap(() => inner$)).toBe('--#');
+        scheduler.flush();
+      });
+    });
+
+    describe('switchMap :', () => {
+      it('should unsubscribe from the previous inner observable', () => {
+        const source$ = scheduler.cold('-a--b------|');
+        const inners = {a: scheduler.cold('-1-2-3|'), b: scheduler.cold('-4-5|')};
+        const expected = '--1--4-5---|';
+        scheduler.expectObservable(source$.switchMap(val => inners[val])).toBe(expected);
+        scheduler.expectSubscriptions(inners.a.subscriptions).toBe('-^--!');
+        scheduler.flush();
+      });
+    });
+
+    describe('concatMap :', () => {
+      it('should subscribe to inner observables one after the other', () => {
+        const source$ = scheduler.cold('ab|');
+        const inners = {a: scheduler.cold('-1-2|'), b: scheduler.cold('-3|')};
+        const expected = '-1-2-3|';
+        scheduler.expectObservable(source$.concatMap(val => inners[val])).toBe(expected);
+        scheduler.expectSubscriptions(inners.b.subscriptions).toBe('----^-!');
+        scheduler.flush();
+      });
+    });
+
+    describe('exhaustMap :', () => {
+      it('should ignore values while an inner observable is active', () => {
+        const source$ = scheduler.cold('a-b---c|');
+        const inner$ = scheduler.cold('-x-x|');
+        const expected = '-x-x---x-x|';
+        scheduler.expectObservable(source$.exhaustMap(() => inner$)).toBe(expected);
+        scheduler.flush();
+      });
+    });
+
+    describe('mergeAll / concatAll / switchAll :', () => {
+      it('should flatten an observable of observables', () => {
+        const a$ = scheduler.cold('a--a|');
+        const b$ = scheduler.cold('-b|');
+        const higherOrder$ = () => scheduler.cold('xy|', {x: a$, y: b$});
+        scheduler.expectObservable(higherOrder$().mergeAll()).toBe('a-ba|');
+        scheduler.expectObservable(higherOrder$().concatAll()).toBe('a--a-b|');
+        scheduler.expectObservable(higherOrder$().switchAll()).toBe('a-b|');
+        scheduler.flush();
+      });
+    });
+
+    describe('merge :', () => {
+      it('should emit values of every observable as they come', () => {
+        const a$ = scheduler.cold('-a---a|');
+        const b$ = scheduler.cold('--b-b|');
+        scheduler.expectObservable(a$.merge(b$)).toBe('-ab-ba|');
+        scheduler.expectObservable(Observable.merge(a$, b$)).toBe('-ab-ba|');
+        scheduler.flush();
+      });
+
+      it('should release every source on unsubscribe', () => {
+        const a$ = scheduler.cold('-a---a|');
+        const b$ = scheduler.cold('--b-b|');
+        scheduler.expectObservable(Observable.merge(a$, b$), '^--!').toBe('-ab');
+        scheduler.expectSubscriptions(a$.subscriptions).toBe('^--!');
+        scheduler.expectSubscriptions(b$.subscriptions).toBe('^--!');
+        scheduler.flush();
+      });
+    });
+
+    describe('combineLatest :', () => {
+      it('should emit the latest value of each observable', () => {
+        const a$ = scheduler.cold('-a---c|');
+        const b$ = scheduler.cold('--x-y|');
+        const expected = '--u-vw|';
+        const values = {u: ['a', 'x'], v: ['a', 'y'], w: ['c', 'y']};
+        scheduler.expectObservable(Observable.combineLatest(a$, b$)).toBe(expected, values);
+        scheduler.flush();
+      });
+
+      it('should apply the result selector', () => {
+        const a$ = scheduler.cold('-a-|');
+        const b$ = scheduler.cold('-x-|');
+        scheduler.expectObservable(a$.combineLatest(b$, (a, b) => a + b)).toBe('-y-|', {y: 'ax'});
+        scheduler.flush();
+      });
+    });
+
+    describe('zip :', () => {
+      it('should pair values by index', () => {
+        const a$ = scheduler.cold('-a-b-c|');
+        const b$ = scheduler.cold('---x-y|');
+        const expected = '---u-v|';
+        scheduler.expectObservable(Observable.zip([a$, b$])).toBe(expected, {u: ['a', 'x'], v: ['b', 'y']});
+        scheduler.flush();
+      });
+
+      it('should complete when a completed source has no more buffered values', (done) => {
+        let result = [];
+        Observable.of(1, 2, 3)
+          .zip(Observable.of(10, 20), (a, b) => a + b)
+          .subscribe(val => result = [...result, val], () => {
+          }, () => {
+            expect(result).deep.equals([11, 22]);
+            done();
+          });
+      });
+    });
+
+    describe('forkJoin :', () => {
+      it('should emit the last values once every observable completed', () => {
+        const a$ = scheduler.cold('-a-b|');
+        const b$ = scheduler.cold('--x----y|');
+        scheduler.expectObservable(Observable.forkJoin(a$, b$)).toBe('--------(v|)', {v: ['b', 'y']});
+        scheduler.flush();
+      });
+
+      it('should accept promises and a result selector', (done) => {
+        let result = [];
+        Observable.forkJoin(Promise.resolve(1), Observable.of(2, 3), (a, b) => a + b)
+          .subscribe(val => result = [...result, val], () => {
+          }, () => {
+            expect(result).deep.equals([4]);
+            done();
+          });
+      });
+
+      it('should complete without emitting when a source is empty', () => {
+        const a$ = scheduler.cold('---|');
+        const b$ = scheduler.cold('-x-----|');
+        scheduler.expectObservable(Observable.forkJoin(a$, b$)).toBe('---|');
+        scheduler.expectSubscriptions(b$.subscriptions).toBe('^--!');
+        scheduler.flush();
+      });
+    });
+
+    describe('race :', () => {
+      it('should mirror the first observable to emit and unsubscribe the others', () => {
+        const a$ = scheduler.cold('---a|');
+        const b$ = scheduler.cold('-b-b|');
+        scheduler.expectObservable(a$.race(b$)).toBe('-b-b|');
+        scheduler.expectSubscriptions(a$.subscriptions).toBe('^!');
+        scheduler.flush();
+      });
+    });
+
+    describe('withLatestFrom :', () => {
+      it('should emit each value with the latest value of the others', () => {
+        const source$ = scheduler.cold('-a--b-c|');
+        const other$ = scheduler.cold('--x--y|');
+        const expected = '----u-v|';
+        const values = {u: 'bx', v: 'cy'};
+        scheduler.expectObservable(source$.withLatestFrom(other$, (a, b) => a + b)).toBe(expected, values);
+        scheduler.expectSubscriptions(other$.subscriptions).toBe('^-----!');
+        scheduler.flush();
+      });
+    });
+
+    describe('catch :', () => {
+      it('should replace an errored source with the fallback', () => {
+        const source$ = scheduler.cold('-a-#');
+        const fallback$ = scheduler.cold('-x|');
+        scheduler.expectObservable(source$.catch(() => fallback$)).toBe('-a--x|');
+        scheduler.expectSubscriptions(fallback$.subscriptions).toBe('---^-!');
+        scheduler.flush();
+      });
+
+      it('should resubscribe to the caught observable', (done) => {
+        let attempts = 0;
+        let result = [];
+        new Observable(observer => {
+          observer.next(++attempts);
+          observer.error('boom');
+        })
+          .catch((err, caught) => attempts < 3 ? caught : [err])
+          .subscribe(val => result = [...result, val], () => {
+          }, () => {
+            expect(result).deep.equals([1, 2, 3, 'boom']);
+            done();
+          });
+      });
+
+      it('should error when the selector throws', () => {
+        const source$ = scheduler.cold('-#');
+        scheduler.expectObservable(source$.catch(() => {
+          throw 'selector';
+        })).toBe('-#', null, 'selector');
+        scheduler.flush();
+      });
+    });
+
+    describe('retry :', () => {
+      it('should resubscribe count times before erroring', () => {
+        const source$ = scheduler.cold('-a#');
+        scheduler.expectObservable(source$.retry(2)).toBe('-a-a-a#');
+        scheduler.expectSubscriptions(source$.subscriptions).toBe(['^-!', '--^-!', '----^-!']);
+        scheduler.flush();
+      });
+
+      it('should retry a failed promise', (done) => {
+        let calls = 0;
+        const request = () => ++calls < 3 ? Promise.reject('down') : Promise.resolve('up');
+        Observable.of(null)
+          .mergeMap(() => Observable.fromPromise(request()))
+          .retry(3)
+          .subscribe(val => {
+            expect(val).equals('up');
+            expect(calls).equals(3);
+            done();
+          });
+      });
+    });
+
+    describe('retryWhen :', () => {
+      it('should resubscribe when the notifier emits', () => {
+        const source$ = scheduler.cold('-a#');
+        const result$ = source$.retryWhen(errors$ => errors$.take(2));
+        scheduler.expectObservable(result$).toBe('-a-a|');
+        scheduler.flush();
+      });
+
+      it('should error when the notifier errors', () => {
+        const source$ = scheduler.cold('-a#', null, 'boom');
+        const result$ = source$.retryWhen(errors$ => errors$.mergeMap(err => scheduler.cold('#', null, err)));
+        scheduler.expectObservable(result$).toBe('-a#', null, 'boom');
+        scheduler.flush();
+      });
+    });
+
+    describe('repeat :', () => {
+      it('should resubscribe each time the source completes, count times in all', () => {
+        const source$ = scheduler.cold('-a|');
+        scheduler.expectObservable(source$.repeat(3)).toBe('-a-a-a|');
+        scheduler.expectObservable(source$.repeat(0)).toBe('|');
+        scheduler.flush();
+      });
+
+      it('should not repeat a source that errors', () => {
+        const source$ = scheduler.cold('-a#');
+        scheduler.expectObservable(source$.repeat(3)).toBe('-a#');
+        scheduler.flush();
+      });
+
+      it('should repeat synchronous sources', () => {
+        let result = [];
+        Observable.of(1, 2).repeat(2).subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([1, 2, 1, 2]);
+      });
+    });
+
+    describe('repeatWhen :', () => {
+      it('should resubscribe when the notifier emits', () => {
+        const source$ = scheduler.cold('-a|');
+        const result$ = source$.repeatWhen(completions$ => completions$.delay(10, scheduler).take(2));
+        scheduler.expectObservable(result$).toBe('-a--a-|');
+        scheduler.flush();
+      });
+    });
+
+    describe('onErrorResumeNext :', () => {
+      it('should move on to the next observable on error or complete', () => {
+        const a$ = scheduler.cold('-a#');
+        const b$ = scheduler.cold('-b|');
+        const c$ = scheduler.cold('-c#');
+        scheduler.expectObservable(Observable.onErrorResumeNext(a$, b$, c$)).toBe('-a-b-c|');
+        scheduler.flush();
+      });
+    });
+
+    describe('finally :', () => {
+      it('should call the callback on complete, error and unsubscribe', () => {
+        let calls = [];
+        const completes$ = scheduler.cold('-a|').finally(() => calls = [...calls, 'complete']);
+        const errors$ = scheduler.cold('-a#').finally(() => calls = [...calls, 'error']);
+        const never$ = scheduler.cold('-a-').finally(() => calls = [...calls, 'unsubscribe']);
+        scheduler.expectObservable(completes$).toBe('-a|');
+        scheduler.expectObservable(errors$).toBe('-a#');
+        scheduler.expectObservable(never$, '^---!').toBe('-a-');
+        scheduler.flush();
+        expect(calls).deep.equals(['complete', 'error', 'unsubscribe']);
+      });
+    });
+
+    describe('debounceTime :', () => {
+      it('should emit a value once the source stayed silent for dueTime', () => {
+        const source$ = scheduler.cold('-a-bc----d-|');
+        const expected = '-------c---(d|)';
+        scheduler.expectObservable(source$.debounceTime(30, scheduler)).toBe(expected);
+        scheduler.flush();
+      });
+
+      it('should clear the pending timer on unsubscribe', () => {
+        const source$ = scheduler.cold('-a------|');
+        scheduler.expectObservable(source$.debounceTime(30, scheduler), '^-!').toBe('---');
+        scheduler.flush();
+      });
+    });
+
+    describe('debounce :', () => {
+      it('should debounce with the duration selector', () => {
+        const source$ = scheduler.cold('-a--b------|');
+        const durations = {a: scheduler.cold('-----x'), b: scheduler.cold('-x')};
+        scheduler.expectObservable(source$.debounce(val => durations[val])).toBe('-----b-----|');
+        scheduler.flush();
+      });
+    });
+
+    describe('throttleTime :', () => {
+      it('should emit the first value then ignore the source for duration', () => {
+        const source$ = scheduler.cold('ab--c---de|');
+        scheduler.expectObservable(source$.throttleTime(30, scheduler)).toBe('a---c---d-|');
+        scheduler.flush();
+      });
+
+      it('should emit the trailing value when asked to', () => {
+        const source$ = scheduler.cold('abc-----|');
+        const expected = 'a--c----|';
+        scheduler.expectObservable(source$.throttleTime(30, scheduler, {leading: true, trailing: true})).toBe(expected);
+        scheduler.flush();
+      });
+    });
+
+    describe('throttle :', () => {
+      it('should throttle with the duration selector', () => {
+        const source$ = scheduler.cold('abc-d|');
+        scheduler.expectObservable(source$.throttle(() => scheduler.cold('---|'))).toBe('a---d|');
+        scheduler.flush();
+      });
+    });
+
+    describe('auditTime :', () => {
+      it('should emit the most recent value once duration elapsed', () => {
+        const source$ = scheduler.cold('ab--c---d---|');
+        scheduler.expectObservable(source$.auditTime(30, scheduler)).toBe('---b---c---d|');
+        scheduler.flush();
+      });
+    });
+
+    describe('audit :', () => {
+      it('should audit with the duration selector', () => {
+        const source$ = scheduler.cold('ab----|');
+        scheduler.expectObservable(source$.audit(() => scheduler.cold('--x'))).toBe('--b---|');
+        scheduler.flush();
+      });
+    });
+
+    describe('sampleTime :', () => {
+      it('should emit the most recent value every period', () => {
+        const source$ = scheduler.cold('ab-c-----d|');
+        scheduler.expectObservable(source$.sampleTime(20, scheduler)).toBe('--b-c-----|');
+        scheduler.flush();
+      });
+    });
+
+    describe('delay :', () => {
+      it('should delay values and completion', () => {
+        const source$ = scheduler.cold('-a-b|');
+        scheduler.expectObservable(source$.delay(20, scheduler)).toBe('---a-(b|)');
+        scheduler.flush();
+      });
+
+      it('should delay until a date', () => {
+        const source$ = scheduler.cold('ab|');
+        scheduler.expectObservable(source$.delay(new Date(30), scheduler)).toBe('---a(b|)');
+        scheduler.flush();
+      });
+
+      it('should not delay errors', () => {
+        const source$ = scheduler.cold('-a#');
+        scheduler.expectObservable(source$.delay(20, scheduler)).toBe('--#');
+        scheduler.flush();
+      });
+    });
+
+    describe('delayWhen :', () => {
+      it('should delay each value with its own duration', () => {
+        const source$ = scheduler.cold('ab|');
+        const durations = {a: scheduler.cold('---x'), b: scheduler.cold('-|')};
+        scheduler.expectObservable(source$.delayWhen(val => durations[val])).toBe('--b(a|)');
+        scheduler.flush();
+      });
+
+      it('should delay the subscription to the source', () => {
+        const source$ = scheduler.cold('a|');
+        scheduler.expectObservable(source$.delayWhen(() => scheduler.cold('-x'), scheduler.cold('--x'))).toBe('---(a|)');
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('--^!');
+        scheduler.flush();
+      });
+    });
+
+    describe('multicast / publish :', () => {
+      it('should only subscribe to the source on connect', () => {
+        const source$ = scheduler.cold('-a-b-|');
+        const published$ = source$.publish();
+        scheduler.expectObservable(published$).toBe('---a-b-|');
+        scheduler.expectObservable(published$).toBe('---a-b-|');
+        scheduler.schedule(() => published$.connect(), 20);
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('--^----!');
+        scheduler.flush();
+      });
+
+      it('should share one subscription between subscribers', () => {
+        let subscriptions = 0;
+        const source$ = new Observable(observer => {
+          subscriptions++;
+          observer.next(1);
+          observer.complete();
+        });
+        const published$ = source$.multicast(new Subject());
+        let result = [];
+        published$.subscribe(val => result = [...result, ['a', val]]);
+        published$.subscribe(val => result = [...result, ['b', val]]);
+        published$.connect();
+        expect(subscriptions).equals(1);
+        expect(result).deep.equals([['a', 1], ['b', 1]]);
+      });
+
+      it('should disconnect from the source when the connection is unsubscribed', () => {
+        const source$ = scheduler.cold('-a-b-c-|');
+        const published$ = source$.publish();
+        scheduler.expectObservable(published$).toBe('-a-b');
+        scheduler.schedule(() => {
+          const connection = published$.connect();
+          scheduler.schedule(() => connection.unsubscribe(), 40);
+        }, 0);
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('^---!');
+        scheduler.flush();
+      });
+
+      it('should give each subscription its own subject with a selector', () => {
+        const source$ = scheduler.cold('-a-b|');
+        const result$ = source$.multicast(() => new Subject(), shared$ => shared$.zip(shared$.skip(1)));
+        scheduler.expectObservable(result$).toBe('---u|', {u: ['a', 'b']});
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('^---!');
+        scheduler.flush();
+      });
+    });
+
+    describe('publishReplay / publishLast / publishBehavior :', () => {
+      it('should replay the values to late subscribers', () => {
+        const published$ = scheduler.cold('-a-b|').publishReplay(1);
+        published$.connect();
+        scheduler.expectObservable(published$, '---^').toBe('---b|');
+        scheduler.flush();
+      });
+
+      it('should emit the last value on complete', () => {
+        const published$ = scheduler.cold('-a-b|').publishLast();
+        published$.connect();
+        scheduler.expectObservable(published$).toBe('----(b|)');
+        scheduler.flush();
+      });
+
+      it('should start with the given value', () => {
+        const published$ = scheduler.cold('-a-b|').publishBehavior('z');
+        published$.connect();
+        scheduler.expectObservable(published$).toBe('za-b|');
+        scheduler.flush();
+      });
+    });
+
+    describe('refCount / share :', () => {
+      it('should connect on the first subscriber and disconnect after the last one', () => {
+        const source$ = scheduler.cold('-a-b-c-d-|');
+        const shared$ = source$.publish().refCount();
+        scheduler.expectObservable(shared$, '^--!').toBe('-a-');
+        scheduler.expectObservable(shared$, '-^----!').toBe('-a-b-c');
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('^-----!');
+        scheduler.flush();
+      });
+
+      it('should share an interval between subscribers', () => {
+        const shared$ = Observable.interval(10, scheduler).take(3).share();
+        scheduler.expectObservable(shared$).toBe('-ab(c|)', {a: 0, b: 1, c: 2});
+        scheduler.expectObservable(shared$, '--^').toBe('--b(c|)', {b: 1, c: 2});
+        scheduler.flush();
+      });
+
+      it('should resubscribe to the source after it completed', () => {
+        let subscriptions = 0;
+        const shared$ = new Observable(observer => {
+          subscriptions++;
+          observer.next(subscriptions);
+          observer.complete();
+        }).share();
+        let result = [];
+        shared$.subscribe(val => result = [...result, val]);
+        shared$.subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([1, 2]);
+      });
+    });
+
+    describe('shareReplay :', () => {
+      it('should replay the buffered values without subscribing again', () => {
+        const source$ = scheduler.cold('-a-b-c|');
+        const shared$ = source$.shareReplay(2);
+        scheduler.expectObservable(shared$).toBe('-a-b-c|');
+        scheduler.expectObservable(shared$, '---------^').toBe('---------(bc|)');
+        scheduler.expectSubscriptions(source$.subscriptions).toBe('^-----!');
+        scheduler.flush();
+      });
+    });
   });
-});
\ No newline at end of file
+});
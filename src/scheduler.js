@@ -0,0 +1,73 @@
+// a scheduler decides when a piece of work runs and what time it is:
+// time-based operators never call setTimeout directly, they ask a scheduler
+
+/**
+ * Runs work on the wall clock, through setTimeout.
+ */
+export class Scheduler {
+  /**
+   * @returns {Number} the current time, in ms
+   */
+  now() {
+    return Date.now();
+  }
+
+  /**
+   * Runs work after delay.
+   *
+   * @param work {Function} called with state
+   * @param delay {Number}
+   * @param state
+   * @returns {Function} cancels the work if it did not run yet
+   */
+  schedule(work, delay = 0, state) {
+    const id = setTimeout(() => work(state), delay);
+    return () => clearTimeout(id);
+  }
+}
+
+/**
+ * The default scheduler of every time-based operator.
+ */
+export const async = new Scheduler();
+
+/**
+ * Runs work in virtual time: nothing happens until flush is called,
+ * then every scheduled action runs in order of due time, without waiting.
+ *
+ * @param maxFrames {Number} actions due after this frame are never run
+ */
+export class VirtualTimeScheduler extends Scheduler {
+  constructor(maxFrames = Infinity) {
+    super();
+    this.maxFrames = maxFrames;
+    this.frame = 0;
+    this.actions = [];
+    this.index = 0;
+  }
+
+  now() {
+    return this.frame;
+  }
+
+  schedule(work, delay = 0, state) {
+    const action = {time: this.frame + delay, index: this.index++, work, state};
+    this.actions = [...this.actions, action]
+      .sort((a, b) => a.time - b.time || a.index - b.index);
+    return () => {
+      this.actions = this.actions.filter(a => a !== action);
+    };
+  }
+
+  /**
+   * Runs every action due before maxFrames, moving the clock to each action's due time.
+   */
+  flush() {
+    while (this.actions.length && this.actions[0].time <= this.maxFrames) {
+      const [action, ...actions] = this.actions;
+      this.actions = actions;
+      this.frame = action.time;
+      action.work(action.state);
+    }
+  }
+}
@@ -0,0 +1,82 @@
+import {Observable, Subject, BehaviorSubject, Subscription} from './rxjs';
+
+// a store is built like any application of the library would build it, from its public Observable:
+// the state lives in a BehaviorSubject, actions go through a Subject once the reducer ran,
+// and epics are subscriptions dispatching what they emit
+
+/**
+ * Creates a redux-style store: dispatch runs the reducer then emits the action, so state$ is up to date
+ * when actions$ subscribers, epics included, receive it. Actions dispatched while dispatching,
+ * such as the ones an epic emits synchronously, are queued and handled once the current one is done.
+ * Once destroyed, epics are unsubscribed, state$ and actions$ complete and dispatch does nothing.
+ *
+ * state$ {Observable} the current state to new subscribers, then each new state
+ * actions$ {Observable} every action dispatched from now on
+ * getState() the current state
+ * dispatch(action)
+ * select(selector, compare) {Observable} the selected part of the state, only when it changes
+ * runEpic(epic) {Subscription} subscribes an epic, unsubscribe it to stop it
+ * destroy()
+ *
+ * @param reducer {Function} (state, action) => state
+ * @param initialState
+ * @param epics {Array} functions (actions$, state$) => Observable of the actions to dispatch
+ * @returns {Object} the store
+ */
+export const createStore = (reducer, initialState, epics = []) => {
+  const state = new BehaviorSubject(initialState);
+  const actions = new Subject();
+  const running = new Subscription();
+  let queue = [];
+  let dispatching = false;
+
+  const state$ = state.asObservable().distinctUntilChanged();
+  const actions$ = actions.asObservable();
+
+  const dispatch = (action) => {
+    if (running.closed) {
+      return;
+    }
+    queue = [...queue, action];
+    if (dispatching) {
+      return;
+    }
+    dispatching = true;
+    try {
+      while (queue.length && !running.closed) {
+        const [next, ...rest] = queue;
+        queue = rest;
+        state.next(reducer(state.getValue(), next));
+        actions.next(next);
+      }
+    } finally {
+      dispatching = false;
+      queue = [];
+    }
+  };
+
+  // an epic erroring stops, its error goes to config.onUnhandledError like any subscription without error callback
+  const runEpic = (epic) => {
+    const output = epic(actions$, state$);
+    if (!output || typeof output.subscribe !== 'function') {
+      throw new TypeError('an epic must return an Observable');
+    }
+    return running.add(Observable.from(output).subscribe(dispatch));
+  };
+
+  const store = {
+    state$,
+    actions$,
+    getState: () => state.getValue(),
+    dispatch,
+    select: (selector, compare) => state$.map(selector).distinctUntilChanged(compare),
+    runEpic,
+    destroy: () => {
+      running.unsubscribe();
+      actions.complete();
+      state.complete();
+    }
+  };
+  epics.forEach(runEpic);
+  return store;
+};
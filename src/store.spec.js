@@ -0,0 +1,164 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import {Observable, config} from './rxjs';
+import {createStore} from './store';
+import {TestScheduler} from './testing';
+
+describe('createStore', () => {
+  const counter = (state, action) => {
+    switch (action.type) {
+    case 'increment':
+      return Object.assign({}, state, {count: state.count + 1});
+    case 'rename':
+      return Object.assign({}, state, {name: action.name});
+    default:
+      return state;
+    }
+  };
+  let store;
+
+  beforeEach(() => {
+    store = createStore(counter, {count: 0, name: 'counter'});
+  });
+
+  describe('state$ :', () => {
+
+    it('should replay the current state to new subscribers, then emit each new state', () => {
+      let early = [];
+      store.state$.subscribe(state => early = [...early, state.count]);
+      store.dispatch({type: 'increment'});
+      let late = [];
+      store.state$.subscribe(state => late = [...late, state.count]);
+      store.dispatch({type: 'increment'});
+      expect(early).deep.equals([0, 1, 2]);
+      expect(late).deep.equals([1, 2]);
+      expect(store.getState()).deep.equals({count: 2, name: 'counter'});
+    });
+
+    it('should not emit when the reducer returns the same state', () => {
+      const next = sinon.spy();
+      store.state$.subscribe(next);
+      store.dispatch({type: 'unknown'});
+      expect(next.calledOnce).equals(true);
+    });
+  });
+
+  describe('dispatch :', () => {
+
+    it('should emit the actions on actions$ once the reducer ran', () => {
+      let result = [];
+      store.actions$.subscribe(action => result = [...result, [action.type, store.getState().count]]);
+      store.dispatch({type: 'increment'});
+      store.dispatch({type: 'unknown'});
+      expect(result).deep.equals([['increment', 1], ['unknown', 1]]);
+    });
+
+    it('should handle the actions dispatched while dispatching once the current one is done', () => {
+      let result = [];
+      store.actions$.subscribe(action => {
+        if (action.type === 'increment' && store.getState().count === 1) {
+          store.dispatch({type: 'rename', name: 'nested'});
+        }
+      });
+      store.actions$.subscribe(action => result = [...result, action.type]);
+      store.dispatch({type: 'increment'});
+      expect(result).deep.equals(['increment', 'rename']);
+      expect(store.getState()).deep.equals({count: 1, name: 'nested'});
+    });
+
+    it('should throw what the reducer throws and keep dispatching afterwards', () => {
+      const failing = createStore((state, action) => {
+        if (action.type === 'fail') {
+          throw 'boom';
+        }
+        return state + 1;
+      }, 0);
+      expect(() => failing.dispatch({type: 'fail'})).to.throw('boom');
+      failing.dispatch({type: 'add'});
+      expect(failing.getState()).equals(1);
+    });
+  });
+
+  describe('select :', () => {
+
+    it('should emit the selected part of the state only when it changes', () => {
+      let names = [];
+      store.select(state => state.name).subscribe(name => names = [...names, name]);
+      store.dispatch({type: 'increment'});
+      store.dispatch({type: 'rename', name: 'renamed'});
+      store.dispatch({type: 'rename', name: 'renamed'});
+      expect(names).deep.equals(['counter', 'renamed']);
+    });
+
+    it('should compare the selections with the given function', () => {
+      let counts = [];
+      const samePair = (a, b) => Math.floor(a / 2) === Math.floor(b / 2);
+      store.select(state => state.count, samePair).subscribe(count => counts = [...counts, count]);
+      [1, 2, 3, 4].forEach(() => store.dispatch({type: 'increment'}));
+      expect(counts).deep.equals([0, 2, 4]);
+    });
+  });
+
+  describe('epics :', () => {
+
+    it('should dispatch what the epics emit, after the action they respond to', () => {
+      const renameOnEven = (actions$, state$) => actions$
+        .filter(action => action.type === 'increment')
+        .withLatestFrom(state$)
+        .filter(([, state]) => state.count % 2 === 0)
+        .map(([, state]) => ({type: 'rename', name: `even ${state.count}`}));
+      const withEpic = createStore(counter, {count: 0, name: 'counter'}, [renameOnEven]);
+      let result = [];
+      withEpic.actions$.subscribe(action => result = [...result, action.type]);
+      [1, 2, 3].forEach(() => withEpic.dispatch({type: 'increment'}));
+      expect(result).deep.equals(['increment', 'increment', 'rename', 'increment']);
+      expect(withEpic.getState()).deep.equals({count: 3, name: 'even 2'});
+    });
+
+    it('should run epics added later and stop them once their subscription is unsubscribed', () => {
+      const scheduler = new TestScheduler((actual, expected) => expect(actual).deep.equal(expected));
+      const delayed = (actions$) => actions$
+        .filter(action => action.type === 'rename')
+        .delay(30, scheduler)
+        .mapTo({type: 'increment'});
+      const subscription = store.runEpic(delayed);
+      store.dispatch({type: 'rename', name: 'first'});
+      scheduler.flush();
+      subscription.unsubscribe();
+      store.dispatch({type: 'rename', name: 'second'});
+      scheduler.flush();
+      expect(store.getState()).deep.equals({count: 1, name: 'second'});
+    });
+
+    it('should throw a TypeError when an epic does not return an Observable', () => {
+      expect(() => store.runEpic(() => undefined)).to.throw(TypeError);
+    });
+
+    it('should report the errors of epics to config.onUnhandledError', () => {
+      const onUnhandledError = config.onUnhandledError;
+      config.onUnhandledError = sinon.spy();
+      try {
+        store.runEpic(() => Observable.throw('boom'));
+        expect(config.onUnhandledError.args).deep.equals([['boom']]);
+      } finally {
+        config.onUnhandledError = onUnhandledError;
+      }
+    });
+  });
+
+  describe('destroy :', () => {
+
+    it('should unsubscribe the epics, complete state$ and actions$ and ignore later dispatches', () => {
+      const teardown = sinon.spy();
+      const complete = sinon.spy();
+      store.runEpic(actions$ => actions$.filter(() => false).finally(teardown));
+      store.state$.subscribe({complete});
+      store.actions$.subscribe({complete});
+      store.destroy();
+      store.dispatch({type: 'increment'});
+      expect(teardown.calledOnce).equals(true);
+      expect(complete.calledTwice).equals(true);
+      expect(store.getState().count).equals(0);
+    });
+  });
+});
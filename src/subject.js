@@ -0,0 +1,232 @@
+import {Observable} from './observable';
+import {async} from './scheduler';
+
+// a subject is both an observable and an observer:
+// every value it is given with next is multicasted to all its current observers
+
+/**
+ * A Subject is an Observable you can push values into.
+ * next, error and complete fan out to every current subscriber,
+ * late subscribers to a stopped subject only receive the terminal notification.
+ *
+ * @see {@link https://www.learnrxjs.io/subjects/subject.html } for examples.
+ */
+export class Subject extends Observable {
+  constructor() {
+    super();
+    this.observers = [];
+    this.isStopped = false;
+    this.hasError = false;
+    this.thrownError = null;
+  }
+
+  _subscribe(observer) {
+    if (this.hasError) {
+      observer.error(this.thrownError);
+      return;
+    }
+    if (this.isStopped) {
+      observer.complete();
+      return;
+    }
+    this.observers = [...this.observers, observer];
+    return () => {
+      this.observers = this.observers.filter(o => o !== observer);
+    };
+  }
+
+  next(value) {
+    if (this.isStopped) {
+      return;
+    }
+    this.observers.forEach(observer => observer.next(value));
+  }
+
+  error(err) {
+    if (this.isStopped) {
+      return;
+    }
+    this.isStopped = true;
+    this.hasError = true;
+    this.thrownError = err;
+    const observers = this.observers;
+    this.observers = [];
+    observers.forEach(observer => observer.error(err));
+  }
+
+  complete() {
+    if (this.isStopped) {
+      return;
+    }
+    this.isStopped = true;
+    const observers = this.observers;
+    this.observers = [];
+    observers.forEach(observer => observer.complete());
+  }
+
+  /**
+   * Lifted subjects can't be pushed into, they are plain Observables of what the subject emits.
+   *
+   * @param operator {Object} see Observable#lift
+   * @returns {Observable}
+   */
+  lift(operator) {
+    const observable = new Observable();
+    observable.source = this;
+    observable.operator = operator;
+    return observable;
+  }
+
+  /**
+   * Hides the observer side of the subject.
+   *
+   * @returns {Observable}
+   */
+  asObservable() {
+    return new Observable(observer => this.subscribe(observer));
+  }
+}
+
+/**
+ * A Subject that holds a current value, starting with the one given to the constructor.
+ * Every new subscriber immediately receives the current value.
+ *
+ * @see {@link https://www.learnrxjs.io/subjects/behaviorsubject.html } for examples.
+ */
+export class BehaviorSubject extends Subject {
+  constructor(value) {
+    super();
+    this._value = value;
+  }
+
+  get value() {
+    return this.getValue();
+  }
+
+  getValue() {
+    if (this.hasError) {
+      throw this.thrownError;
+    }
+    return this._value;
+  }
+
+  _subscribe(observer) {
+    const teardown = super._subscribe(observer);
+    if (!this.isStopped) {
+      observer.next(this._value);
+    }
+    return teardown;
+  }
+
+  next(value) {
+    if (this.isStopped) {
+      return;
+    }
+    this._value = value;
+    super.next(value);
+  }
+}
+
+/**
+ * A Subject that records the values it is given and replays them to new subscribers.
+ *
+ * @see {@link https://www.learnrxjs.io/subjects/replaysubject.html } for examples.
+ *
+ * @param bufferSize {Number} how many values to keep
+ * @param windowTime {Number} how long, in ms, a value is kept
+ * @param scheduler {Scheduler} the clock windowTime is measured with
+ */
+export class ReplaySubject extends Subject {
+  constructor(bufferSize = Infinity, windowTime = Infinity, scheduler = async) {
+    super();
+    this.bufferSize = Math.max(1, bufferSize);
+    this.windowTime = Math.max(1, windowTime);
+    this.scheduler = scheduler;
+    this.events = [];
+  }
+
+  _now() {
+    return this.scheduler.now();
+  }
+
+  // events are in time order: the expired ones and those over bufferSize are at the start
+  _trimBuffer() {
+    const now = this._now();
+    const events = this.events;
+    let expired = Math.max(0, events.length - this.bufferSize);
+    while (expired < events.length && now - events[expired].time > this.windowTime) {
+      expired++;
+    }
+    if (expired) {
+      events.splice(0, expired);
+    }
+  }
+
+  _subscribe(observer) {
+    this._trimBuffer();
+    this.events.forEach(event => observer.next(event.value));
+    if (this.hasError) {
+      observer.error(this.thrownError);
+      return;
+    }
+    if (this.isStopped) {
+      observer.complete();
+      return;
+    }
+    return super._subscribe(observer);
+  }
+
+  next(value) {
+    if (this.isStopped) {
+      return;
+    }
+    this.events.push({time: this._now(), value});
+    if (this.bufferSize < Infinity || this.windowTime < Infinity) {
+      this._trimBuffer();
+    }
+    super.next(value);
+  }
+}
+
+/**
+ * A Subject that only emits its last value, and only once it completes.
+ * Subscribers arriving after completion receive that same last value.
+ *
+ * @see {@link https://www.learnrxjs.io/subjects/asyncsubject.html } for examples.
+ */
+export class AsyncSubject extends Subject {
+  constructor() {
+    super();
+    this.hasValue = false;
+    this.lastValue = undefined;
+  }
+
+  _subscribe(observer) {
+    if (this.isStopped && !this.hasError) {
+      if (this.hasValue) {
+        observer.next(this.lastValue);
+      }
+      observer.complete();
+      return;
+    }
+    return super._subscribe(observer);
+  }
+
+  next(value) {
+    if (this.isStopped) {
+      return;
+    }
+    this.hasValue = true;
+    this.lastValue = value;
+  }
+
+  complete() {
+    if (this.isStopped) {
+      return;
+    }
+    if (this.hasValue) {
+      super.next(this.lastValue);
+    }
+    super.complete();
+  }
+}
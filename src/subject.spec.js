@@ -0,0 +1,168 @@
+import {expect} from 'chai';
+import {Observable, Subject, BehaviorSubject, ReplaySubject, AsyncSubject} from './rxjs';
+import {VirtualTimeScheduler} from './scheduler';
+
+describe('Subjects', () => {
+
+  describe('Subject :', () => {
+
+    it('should multicast values to every current subscriber', () => {
+      const subject = new Subject();
+      let resultA = [];
+      let resultB = [];
+      subject.subscribe(val => resultA = [...resultA, val]);
+      subject.next(1);
+      subject.subscribe(val => resultB = [...resultB, val]);
+      subject.next(2);
+      subject.complete();
+      expect(resultA).deep.equals([1, 2]);
+      expect(resultB).deep.equals([2]);
+    });
+
+    it('should stop pushing values to an unsubscribed observer', () => {
+      const subject = new Subject();
+      let result = [];
+      const unsubscribe = subject.subscribe(val => result = [...result, val]);
+      subject.next(1);
+      unsubscribe();
+      subject.next(2);
+      expect(result).deep.equals([1]);
+      expect(subject.observers.length).equals(0);
+    });
+
+    it('should be usable as an observer of an Observable', (done) => {
+      const subject = new Subject();
+      let result = [];
+      subject.subscribe(
+        val => result = [...result, val],
+        () => {
+        },
+        () => {
+          expect(result).deep.equals([1, 2, 3]);
+          done();
+        }
+      );
+      Observable.of(1, 2, 3).subscribe(subject);
+    });
+
+    it('should work with the prototype operators', () => {
+      const subject = new Subject();
+      let result = [];
+      subject
+        .filter(num => num % 2 === 0)
+        .map(num => num * 10)
+        .take(2)
+        .subscribe(val => result = [...result, val]);
+      [1, 2, 3, 4, 5, 6].forEach(num => subject.next(num));
+      expect(result).deep.equals([20, 40]);
+      expect(subject.observers.length).equals(0);
+    });
+
+    it('should send the terminal notification to late subscribers', () => {
+      const completed = new Subject();
+      const errored = new Subject();
+      let completeCalled = false;
+      let error;
+      completed.complete();
+      errored.error('boom');
+      completed.subscribe(() => {
+      }, () => {
+      }, () => completeCalled = true);
+      errored.subscribe(() => {
+      }, err => error = err);
+      expect(completeCalled).equals(true);
+      expect(error).equals('boom');
+    });
+  });
+
+  describe('BehaviorSubject :', () => {
+
+    it('should emit its current value to new subscribers', () => {
+      const subject = new BehaviorSubject(0);
+      let result = [];
+      subject.next(1);
+      subject.subscribe(val => result = [...result, val]);
+      subject.next(2);
+      expect(result).deep.equals([1, 2]);
+      expect(subject.getValue()).equals(2);
+      expect(subject.value).equals(2);
+    });
+
+    it('should throw the error from getValue once errored', () => {
+      const subject = new BehaviorSubject(0);
+      subject.error('boom');
+      expect(() => subject.getValue()).to.throw('boom');
+    });
+  });
+
+  describe('ReplaySubject :', () => {
+
+    it('should replay the last bufferSize values', () => {
+      const subject = new ReplaySubject(2);
+      let result = [];
+      [1, 2, 3].forEach(num => subject.next(num));
+      subject.subscribe(val => result = [...result, val]);
+      subject.next(4);
+      expect(result).deep.equals([2, 3, 4]);
+    });
+
+    it('should replay values then complete for late subscribers', () => {
+      const subject = new ReplaySubject();
+      let result = [];
+      subject.next(1);
+      subject.next(2);
+      subject.complete();
+      subject.subscribe(val => result = [...result, val], () => {
+      }, () => result = [...result, 'done']);
+      expect(result).deep.equals([1, 2, 'done']);
+    });
+
+    it('should drop values older than windowTime', (done) => {
+      const subject = new ReplaySubject(Infinity, 50);
+      let result = [];
+      subject.next(1);
+      setTimeout(() => {
+        subject.next(2);
+        subject.subscribe(val => result = [...result, val]);
+        expect(result).deep.equals([2]);
+        done();
+      }, 100);
+    });
+
+    it('should keep the values within both bufferSize and windowTime', () => {
+      const scheduler = new VirtualTimeScheduler();
+      const subject = new ReplaySubject(2, 30, scheduler);
+      [[1, 0], [2, 10], [3, 20], [4, 45]].forEach(([num, time]) => scheduler.schedule(() => subject.next(num), time));
+      scheduler.flush();
+      let result = [];
+      subject.subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([3, 4]);
+      scheduler.schedule(() => subject.subscribe(val => result = [...result, val]), 30);
+      scheduler.flush();
+      expect(result).deep.equals([3, 4, 4]);
+    });
+  });
+
+  describe('AsyncSubject :', () => {
+
+    it('should only emit the last value on complete', () => {
+      const subject = new AsyncSubject();
+      let result = [];
+      subject.subscribe(val => result = [...result, val]);
+      subject.next(1);
+      subject.next(2);
+      expect(result).deep.equals([]);
+      subject.complete();
+      expect(result).deep.equals([2]);
+    });
+
+    it('should emit the last value to late subscribers', () => {
+      const subject = new AsyncSubject();
+      let result = [];
+      subject.next(1);
+      subject.complete();
+      subject.subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([1]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import {Subscription} from './subscription';
+import {config, routeErrors} from './config';
+
+const noop = () => {};
+
+/**
+ * Turns the arguments given to subscribe into an observer.
+ * Accepts either an observer object (possibly partial) or the next, error, complete callbacks.
+ *
+ * @param observerOrNext {Object|Function}
+ * @param error {Function}
+ * @param complete {Function}
+ * @returns {{next: Function, error: Function, complete: Function}}
+ */
+export const toObserver = (observerOrNext, error, complete) => {
+  if (observerOrNext && typeof observerOrNext === 'object') {
+    const observer = observerOrNext;
+    return {
+      next: value => observer.next && observer.next(value),
+      error: err => observer.error && observer.error(err),
+      complete: () => observer.complete && observer.complete()
+    };
+  }
+  return {
+    next: typeof observerOrNext === 'function' ? observerOrNext : noop,
+    error: error || noop,
+    complete: complete || noop
+  };
+};
+
+const hasErrorCallback = (observerOrNext, error) => observerOrNext && typeof observerOrNext === 'object'
+  ? typeof observerOrNext.error === 'function'
+  : typeof error === 'function';
+
+/**
+ * The observer a producer receives: it forwards notifications to the destination observer
+ * while enforcing the grammar next* (error|complete)?,
+ * and unsubscribes as soon as it errored or completed, it is the SubscriptionObserver of the ES Observable proposal.
+ * Errors without error callback go to config.onUnhandledError,
+ * notifications sent once it completed or errored to config.onStoppedNotification.
+ *
+ * Given another Subscriber, it forwards to it directly and is added to it at once,
+ * so that closing it stops the source even while the source emits synchronously:
+ * operators chain Subscribers this way, overriding _next, see Observable#lift.
+ *
+ * @param destinationOrNext {Object|Function} an observer, possibly partial, a next callback or a Subscriber
+ * @param error {Function}
+ * @param complete {Function}
+ */
+export class Subscriber extends Subscription {
+  constructor(destinationOrNext, error, complete) {
+    super();
+    this.isStopped = false;
+    this.hasTerminated = false;
+    if (destinationOrNext instanceof Subscriber) {
+      this.destination = destinationOrNext;
+      destinationOrNext.add(this);
+      return;
+    }
+    const destination = toObserver(destinationOrNext, error, complete);
+    this.destination = hasErrorCallback(destinationOrNext, error)
+      ? destination
+      : Object.assign({}, destination, {error: err => config.onUnhandledError(err)});
+  }
+
+  next(value) {
+    if (this.isStopped) {
+      this.reportStopped({kind: 'N', value});
+      return;
+    }
+    routeErrors(this, () => this._next(value));
+  }
+
+  // the step operator Subscribers override, what it throws goes through routeErrors like the next callback
+  _next(value) {
+    this.destination.next(value);
+  }
+
+  error(err) {
+    if (this.isStopped) {
+      this.reportStopped({kind: 'E', error: err});
+      return;
+    }
+    this.isStopped = true;
+    this.hasTerminated = true;
+    this.destination.error(err);
+    this.unsubscribe();
+  }
+
+  complete() {
+    if (this.isStopped) {
+      this.reportStopped({kind: 'C'});
+      return;
+    }
+    this.isStopped = true;
+    this.hasTerminated = true;
+    this.destination.complete();
+    this.unsubscribe();
+  }
+
+  // a subscriber stopped by unsubscribe may still get notifications from producers it can't cancel,
+  // only those coming after the producer itself completed or errored are reported
+  reportStopped(notification) {
+    if (this.hasTerminated && config.onStoppedNotification) {
+      config.onStoppedNotification(notification, this);
+    }
+  }
+
+  unsubscribe() {
+    this.isStopped = true;
+    super.unsubscribe();
+  }
+}
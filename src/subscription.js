@@ -0,0 +1,91 @@
+import {UnsubscriptionError} from './errors';
+
+// a subscription is what subscribe returns: calling unsubscribe on it releases the resources
+// held for the subscriber, and everything that was added to it, exactly once
+
+/**
+ * Holds the teardown of an execution and of its child subscriptions.
+ * A Subscription is also a function, so calling it unsubscribes,
+ * the way subscribe used to return a bare unsubscribe function.
+ *
+ * @param unsubscribe {Function} optional teardown run on unsubscribe
+ */
+export class Subscription {
+  constructor(unsubscribe) {
+    const subscription = () => subscription.unsubscribe();
+    Object.setPrototypeOf(subscription, Object.getPrototypeOf(this));
+    subscription.closed = false;
+    subscription._unsubscribe = unsubscribe;
+    subscription._teardowns = [];
+    subscription._parent = null;
+    return subscription;
+  }
+
+  /**
+   * Runs the teardown and unsubscribes every child subscription, then leaves the subscription it was added to.
+   * Errors thrown along the way are collected into a single UnsubscriptionError.
+   */
+  unsubscribe() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    if (this._parent) {
+      this._parent.remove(this);
+    }
+    const teardowns = this._teardowns;
+    this._teardowns = [];
+    const errors = [this._unsubscribe, ...teardowns].reduce((errors, teardown) => {
+      try {
+        if (teardown instanceof Subscription) {
+          teardown.unsubscribe();
+        } else if (typeof teardown === 'function') {
+          teardown();
+        }
+      } catch (err) {
+        return [...errors, ...(err instanceof UnsubscriptionError ? err.errors : [err])];
+      }
+      return errors;
+    }, []);
+    if (errors.length) {
+      throw new UnsubscriptionError(errors);
+    }
+  }
+
+  /**
+   * Adds a teardown to run when this subscription is unsubscribed,
+   * right away if it already is. A subscription added is removed once unsubscribed on its own.
+   *
+   * @param teardown {Function|Subscription}
+   * @returns {Subscription} the subscription wrapping teardown, to give to remove
+   */
+  add(teardown) {
+    if (!teardown || teardown === this) {
+      return Subscription.EMPTY;
+    }
+    const subscription = teardown instanceof Subscription ? teardown : new Subscription(teardown);
+    if (this.closed) {
+      subscription.unsubscribe();
+    } else if (!subscription.closed && subscription._parent !== this) {
+      this._teardowns.push(subscription);
+      subscription._parent = this;
+    }
+    return subscription;
+  }
+
+  /**
+   * @param subscription {Subscription} a subscription previously added
+   */
+  remove(subscription) {
+    this._teardowns = this._teardowns.filter(teardown => teardown !== subscription);
+    if (subscription._parent === this) {
+      subscription._parent = null;
+    }
+  }
+}
+
+// subscriptions are callable, keep call, apply and bind on them
+Object.setPrototypeOf(Subscription.prototype, Function.prototype);
+
+Subscription.EMPTY = new Subscription();
+Subscription.EMPTY.closed = true;
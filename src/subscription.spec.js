@@ -0,0 +1,187 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import {Observable, Subscription, Subscriber, UnsubscriptionError} from './rxjs';
+
+describe('Subscription', () => {
+
+  describe('Subscription :', () => {
+
+    it('should run its teardown once and be closed', () => {
+      const teardown = sinon.spy();
+      const subscription = new Subscription(teardown);
+      expect(subscription.closed).equals(false);
+      subscription.unsubscribe();
+      subscription.unsubscribe();
+      expect(subscription.closed).equals(true);
+      expect(teardown.calledOnce).equals(true);
+    });
+
+    it('should be callable as an unsubscribe function', () => {
+      const teardown = sinon.spy();
+      const subscription = new Subscription(teardown);
+      expect(typeof subscription).equals('function');
+      subscription();
+      expect(subscription.closed).equals(true);
+      expect(teardown.calledOnce).equals(true);
+    });
+
+    it('should unsubscribe the children it was given with add', () => {
+      const parent = new Subscription();
+      const child = new Subscription();
+      const teardown = sinon.spy();
+      parent.add(child);
+      parent.add(teardown);
+      parent.unsubscribe();
+      expect(child.closed).equals(true);
+      expect(teardown.calledOnce).equals(true);
+    });
+
+    it('should not unsubscribe removed children', () => {
+      const parent = new Subscription();
+      const teardown = sinon.spy();
+      const child = parent.add(teardown);
+      parent.remove(child);
+      parent.unsubscribe();
+      expect(teardown.called).equals(false);
+    });
+
+    it('should let go of the children unsubscribed on their own, added once however often', () => {
+      const parent = new Subscription();
+      const child = new Subscription();
+      parent.add(child);
+      parent.add(child);
+      expect(parent._teardowns).deep.equals([child]);
+      child.unsubscribe();
+      expect(parent._teardowns).deep.equals([]);
+    });
+
+    it('should run teardowns added once closed right away', () => {
+      const subscription = new Subscription();
+      const teardown = sinon.spy();
+      subscription.unsubscribe();
+      subscription.add(teardown);
+      expect(teardown.calledOnce).equals(true);
+    });
+
+    it('should aggregate teardown errors into an UnsubscriptionError', () => {
+      const parent = new Subscription(() => {
+        throw 'parent';
+      });
+      const child = new Subscription(() => {
+        throw 'child';
+      });
+      const teardown = sinon.spy();
+      parent.add(child);
+      parent.add(teardown);
+      try {
+        parent.unsubscribe();
+        expect.fail();
+      } catch (err) {
+        expect(err).instanceOf(UnsubscriptionError);
+        expect(err.errors).deep.equals(['parent', 'child']);
+      }
+      expect(teardown.calledOnce).equals(true);
+    });
+  });
+
+  describe('Subscriber :', () => {
+
+    it('should enforce next* (error|complete)?', () => {
+      let result = [];
+      const subscriber = new Subscriber(
+        val => result = [...result, val],
+        () => result = [...result, 'error'],
+        () => result = [...result, 'complete']
+      );
+      subscriber.next(1);
+      subscriber.complete();
+      subscriber.next(2);
+      subscriber.error('boom');
+      subscriber.complete();
+      expect(result).deep.equals([1, 'complete']);
+      expect(subscriber.closed).equals(true);
+    });
+
+    it('should be added to the Subscriber it forwards to', () => {
+      const destination = new Subscriber();
+      const subscriber = new Subscriber(destination);
+      destination.unsubscribe();
+      expect(subscriber.closed).equals(true);
+    });
+
+    it('should accept partial observers', () => {
+      let result = [];
+      const subscriber = new Subscriber({complete: () => result = [...result, 'complete']});
+      subscriber.next(1);
+      subscriber.error('boom');
+      expect(result).deep.equals([]);
+    });
+  });
+
+  describe('Observable#subscribe :', () => {
+
+    it('should return a Subscription', () => {
+      const subscription = Observable.interval(10).subscribe(() => {
+      });
+      expect(subscription).instanceOf(Subscription);
+      subscription.unsubscribe();
+      expect(subscription.closed).equals(true);
+    });
+
+    it('should stop delivering values once unsubscribed', () => {
+      let observer;
+      let result = [];
+      const source$ = new Observable(o => {
+        observer = o;
+      });
+      const subscription = source$.subscribe(val => result = [...result, val]);
+      observer.next(1);
+      subscription.unsubscribe();
+      observer.next(2);
+      expect(result).deep.equals([1]);
+    });
+
+    it('should ignore notifications after complete', () => {
+      let result = [];
+      new Observable(observer => {
+        observer.next(1);
+        observer.complete();
+        observer.next(2);
+        observer.error('boom');
+      }).subscribe(val => result = [...result, val], err => result = [...result, err]);
+      expect(result).deep.equals([1]);
+    });
+
+    it('should run the producer teardown exactly once', () => {
+      const teardown = sinon.spy();
+      const subscription = new Observable(observer => {
+        observer.complete();
+        return teardown;
+      }).subscribe();
+      subscription.unsubscribe();
+      expect(teardown.calledOnce).equals(true);
+    });
+
+    it('should route errors thrown by the producer to the error callback', () => {
+      let error;
+      new Observable(() => {
+        throw 'boom';
+      }).subscribe(() => {
+      }, err => error = err);
+      expect(error).equals('boom');
+    });
+
+    it('should stop a synchronous producer once take got its values', () => {
+      let emitted = 0;
+      const source$ = new Observable(observer => {
+        while (!observer.closed) {
+          observer.next(emitted++);
+        }
+      });
+      let result = [];
+      source$.take(3).subscribe(val => result = [...result, val]);
+      expect(result).deep.equals([0, 1, 2]);
+      expect(emitted).equals(3);
+    });
+  });
+});
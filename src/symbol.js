@@ -0,0 +1,3 @@
+// Symbol.observable is not part of the language yet: use it when a polyfill defined it,
+// otherwise the '@@observable' key other Observable implementations fall back to as well
+export const observable = typeof Symbol === 'function' && Symbol.observable || '@@observable';
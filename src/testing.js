@@ -0,0 +1,268 @@
+import {Observable} from './observable';
+import {Subject} from './subject';
+import {VirtualTimeScheduler} from './scheduler';
+
+// marble diagrams describe a stream as a string, one character per frame:
+//   -      a frame where nothing happens
+//   a      a value, looked up in the values object when one is given
+//   |      complete
+//   #      error
+//   ^      the subscription point of a hot observable (frame 0)
+//   !      the unsubscription point in a subscription marble
+//   (ab)   values emitted synchronously in the same frame
+// white spaces are ignored, so diagrams can be aligned
+
+const nextNotification = value => ({kind: 'N', value});
+const errorNotification = error => ({kind: 'E', error});
+const completeNotification = () => ({kind: 'C'});
+
+const marbleChars = marbles => marbles.split('').filter(c => c !== ' ');
+
+/**
+ * Parses a marble diagram into the list of notifications it describes.
+ *
+ * @param marbles {String}
+ * @param values {Object}
+ * @param errorValue
+ * @returns {Array} of {frame, notification}
+ */
+export const parseMarbles = (marbles, values, errorValue = 'error') => {
+  const chars = marbleChars(marbles);
+  const frameOffset = Math.max(0, chars.indexOf('^')) * TestScheduler.frameTimeFactor;
+  let groupStart = -1;
+  return chars.reduce((messages, c, i) => {
+    const frame = i * TestScheduler.frameTimeFactor - frameOffset;
+    const at = groupStart > -1 ? groupStart : frame;
+    switch (c) {
+    case '-':
+    case '^':
+      return messages;
+    case '(':
+      groupStart = frame;
+      return messages;
+    case ')':
+      groupStart = -1;
+      return messages;
+    case '|':
+      return [...messages, {frame: at, notification: completeNotification()}];
+    case '#':
+      return [...messages, {frame: at, notification: errorNotification(errorValue)}];
+    default: {
+      const value = values && c in values ? values[c] : c;
+      return [...messages, {frame: at, notification: nextNotification(value)}];
+    }
+    }
+  }, []);
+};
+
+/**
+ * Parses a subscription marble diagram such as '^---!'.
+ *
+ * @param marbles {String}
+ * @returns {{subscribedFrame: Number, unsubscribedFrame: Number}}
+ */
+export const parseMarblesAsSubscriptions = (marbles) => {
+  const log = {subscribedFrame: Infinity, unsubscribedFrame: Infinity};
+  if (typeof marbles !== 'string') {
+    return log;
+  }
+  let groupStart = -1;
+  marbleChars(marbles).forEach((c, i) => {
+    const frame = i * TestScheduler.frameTimeFactor;
+    const at = groupStart > -1 ? groupStart : frame;
+    if (c === '(') {
+      groupStart = frame;
+    } else if (c === ')') {
+      groupStart = -1;
+    } else if (c === '^') {
+      log.subscribedFrame = at;
+    } else if (c === '!') {
+      log.unsubscribedFrame = at;
+    }
+  });
+  return log;
+};
+
+const deliver = (observer, {kind, value, error}) => {
+  if (kind === 'N') {
+    observer.next(value);
+  } else if (kind === 'E') {
+    observer.error(error);
+  } else {
+    observer.complete();
+  }
+};
+
+/**
+ * An Observable replaying its marble diagram from the start for each subscriber.
+ */
+export class ColdObservable extends Observable {
+  constructor(messages, scheduler) {
+    super();
+    this.messages = messages;
+    this.scheduler = scheduler;
+    this.subscriptions = [];
+  }
+
+  _subscribe(observer) {
+    const log = {subscribedFrame: this.scheduler.now(), unsubscribedFrame: Infinity};
+    const end = () => {
+      if (log.unsubscribedFrame === Infinity) {
+        log.unsubscribedFrame = this.scheduler.now();
+      }
+    };
+    this.subscriptions.push(log);
+    const cancels = this.messages.map(({frame, notification}) => this.scheduler.schedule(() => {
+      deliver(observer, notification);
+      if (notification.kind !== 'N') {
+        end();
+      }
+    }, frame));
+    return () => {
+      cancels.forEach(cancel => cancel());
+      end();
+    };
+  }
+}
+
+/**
+ * A Subject playing its marble diagram once, on the virtual clock, whoever listens.
+ */
+export class HotObservable extends Subject {
+  constructor(messages, scheduler) {
+    super();
+    this.messages = messages;
+    this.scheduler = scheduler;
+    this.subscriptions = [];
+    messages
+      .filter(({frame}) => frame >= 0)
+      .forEach(({frame, notification}) => scheduler.schedule(() => deliver(this, notification), frame));
+  }
+
+  _subscribe(observer) {
+    const log = {subscribedFrame: this.scheduler.now(), unsubscribedFrame: Infinity};
+    this.subscriptions.push(log);
+    const teardown = super._subscribe(observer);
+    return () => {
+      log.unsubscribedFrame = this.scheduler.now();
+      if (teardown) {
+        teardown();
+      }
+    };
+  }
+}
+
+/**
+ * A VirtualTimeScheduler to test Observables with marble diagrams, in mocha:
+ *
+ *   const scheduler = new TestScheduler((actual, expected) => expect(actual).deep.equal(expected));
+ *   const source$ = scheduler.cold('-a-b-|');
+ *   scheduler.expectObservable(source$.map(x => x.toUpperCase())).toBe('-A-B-|');
+ *   scheduler.flush();
+ *
+ * Assertions registered with expectObservable and expectSubscriptions run on flush.
+ *
+ * @param assertDeepEqual {Function} called with actual and expected values
+ */
+export class TestScheduler extends VirtualTimeScheduler {
+  constructor(assertDeepEqual) {
+    super(750);
+    this.assertDeepEqual = assertDeepEqual;
+    this.flushTests = [];
+  }
+
+  /**
+   * @param marbles {String} a diagram ending with '|'
+   * @returns {Number} the number of frames until the '|'
+   */
+  createTime(marbles) {
+    const index = marbleChars(marbles).indexOf('|');
+    if (index === -1) {
+      throw new Error('marble diagram for time should have a completion marker "|"');
+    }
+    return index * TestScheduler.frameTimeFactor;
+  }
+
+  /**
+   * @param marbles {String}
+   * @param values {Object} what each letter of the diagram emits
+   * @param error what '#' emits
+   * @returns {ColdObservable}
+   */
+  cold(marbles, values, error) {
+    if (marbles.indexOf('^') !== -1) {
+      throw new Error('cold observable cannot have subscription offset "^"');
+    }
+    return new ColdObservable(parseMarbles(marbles, values, error), this);
+  }
+
+  /**
+   * @param marbles {String} may contain a '^' marking frame 0
+   * @param values {Object} what each letter of the diagram emits
+   * @param error what '#' emits
+   * @returns {HotObservable}
+   */
+  hot(marbles, values, error) {
+    return new HotObservable(parseMarbles(marbles, values, error), this);
+  }
+
+  /**
+   * Subscribes to observable on flush and records what it emits.
+   *
+   * @param observable {Observable}
+   * @param unsubscriptionMarbles {String} when to subscribe ('^') and unsubscribe ('!')
+   * @returns {{toBe: Function}}
+   */
+  expectObservable(observable, unsubscriptionMarbles = null) {
+    const flushTest = {ready: false, actual: [], expected: null};
+    const {subscribedFrame, unsubscribedFrame} = parseMarblesAsSubscriptions(unsubscriptionMarbles);
+    const record = notification => flushTest.actual.push({frame: this.now(), notification});
+    let unsubscribe = null;
+    this.flushTests = [...this.flushTests, flushTest];
+    this.schedule(() => {
+      unsubscribe = observable.subscribe(
+        value => record(nextNotification(value)),
+        err => record(errorNotification(err)),
+        () => record(completeNotification())
+      );
+    }, subscribedFrame === Infinity ? 0 : subscribedFrame);
+    if (unsubscribedFrame !== Infinity) {
+      this.schedule(() => unsubscribe(), unsubscribedFrame);
+    }
+    return {
+      toBe: (marbles, values, errorValue) => {
+        flushTest.ready = true;
+        flushTest.expected = parseMarbles(marbles, values, errorValue);
+      }
+    };
+  }
+
+  /**
+   * Checks the subscriptions a cold or hot observable recorded.
+   *
+   * @param actualSubscriptionLogs {Array} the subscriptions property of the observable
+   * @returns {{toBe: Function}}
+   */
+  expectSubscriptions(actualSubscriptionLogs) {
+    const flushTest = {ready: false, actual: actualSubscriptionLogs, expected: null};
+    this.flushTests = [...this.flushTests, flushTest];
+    return {
+      toBe: (marbles) => {
+        flushTest.ready = true;
+        flushTest.expected = (Array.isArray(marbles) ? marbles : [marbles]).map(parseMarblesAsSubscriptions);
+      }
+    };
+  }
+
+  /**
+   * Runs the virtual clock, then every pending assertion.
+   */
+  flush() {
+    super.flush();
+    const flushTests = this.flushTests.filter(test => test.ready);
+    this.flushTests = [];
+    flushTests.forEach(test => this.assertDeepEqual(test.actual, test.expected));
+  }
+}
+
+TestScheduler.frameTimeFactor = 10;
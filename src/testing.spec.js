@@ -0,0 +1,109 @@
+import {expect} from 'chai';
+import {Observable, ReplaySubject, VirtualTimeScheduler} from './rxjs';
+import {TestScheduler, parseMarbles, parseMarblesAsSubscriptions} from './testing';
+
+describe('Testing', () => {
+
+  describe('VirtualTimeScheduler :', () => {
+
+    it('should run actions in order of due time on flush', () => {
+      const scheduler = new VirtualTimeScheduler();
+      let result = [];
+      scheduler.schedule(() => result = [...result, ['b', scheduler.now()]], 20);
+      scheduler.schedule(() => result = [...result, ['a', scheduler.now()]], 10);
+      scheduler.schedule(() => result = [...result, ['c', scheduler.now()]], 20);
+      expect(result).deep.equals([]);
+      scheduler.flush();
+      expect(result).deep.equals([['a', 10], ['b', 20], ['c', 20]]);
+    });
+
+    it('should not run cancelled actions', () => {
+      const scheduler = new VirtualTimeScheduler();
+      let ran = false;
+      const cancel = scheduler.schedule(() => ran = true, 10);
+      cancel();
+      scheduler.flush();
+      expect(ran).equals(false);
+    });
+  });
+
+  describe('parseMarbles :', () => {
+
+    it('should parse values, groups and completion', () => {
+      expect(parseMarbles('-a-(bc)-|', {a: 1, b: 2, c: 3})).deep.equals([
+        {frame: 10, notification: {kind: 'N', value: 1}},
+        {frame: 30, notification: {kind: 'N', value: 2}},
+        {frame: 30, notification: {kind: 'N', value: 3}},
+        {frame: 80, notification: {kind: 'C'}}
+      ]);
+    });
+
+    it('should offset frames from the subscription point', () => {
+      expect(parseMarbles('a-^-b-#', null, 'boom')).deep.equals([
+        {frame: -20, notification: {kind: 'N', value: 'a'}},
+        {frame: 20, notification: {kind: 'N', value: 'b'}},
+        {frame: 40, notification: {kind: 'E', error: 'boom'}}
+      ]);
+    });
+
+    it('should parse subscription marbles', () => {
+      expect(parseMarblesAsSubscriptions('-^--!')).deep.equals({subscribedFrame: 10, unsubscribedFrame: 40});
+      expect(parseMarblesAsSubscriptions('^')).deep.equals({subscribedFrame: 0, unsubscribedFrame: Infinity});
+    });
+  });
+
+  describe('TestScheduler :', () => {
+    let scheduler;
+
+    beforeEach(() => {
+      scheduler = new TestScheduler((actual, expected) => expect(actual).deep.equal(expected));
+    });
+
+    it('should test a cold observable through operators', () => {
+      const source$ = scheduler.cold('-a-b-c-|', {a: 1, b: 2, c: 3});
+      const expected = '---b---|';
+      scheduler.expectObservable(source$.filter(num => num % 2 === 0).map(num => num * 10)).toBe(expected, {b: 20});
+      scheduler.expectSubscriptions(source$.subscriptions).toBe('^------!');
+      scheduler.flush();
+    });
+
+    it('should only emit hot values after the subscription point', () => {
+      const source$ = scheduler.hot('-a-^-b-c-|');
+      scheduler.expectObservable(source$).toBe('--b-c-|');
+      scheduler.flush();
+    });
+
+    it('should unsubscribe at the "!" of the subscription marble', () => {
+      const source$ = scheduler.cold('-a-b-c-|');
+      scheduler.expectObservable(source$, '^--!').toBe('-a-');
+      scheduler.expectSubscriptions(source$.subscriptions).toBe('^--!');
+      scheduler.flush();
+    });
+
+    it('should fail when the observable does not match', () => {
+      const source$ = scheduler.cold('-a-|');
+      scheduler.expectObservable(source$).toBe('-b-|');
+      expect(() => scheduler.flush()).to.throw();
+    });
+
+    it('should run interval in virtual time', () => {
+      const source$ = Observable.interval(20, scheduler).take(3);
+      scheduler.expectObservable(source$).toBe('--a-b-(c|)', {a: 0, b: 1, c: 2});
+      scheduler.flush();
+    });
+
+    it('should measure the ReplaySubject window with the scheduler', () => {
+      const subject = new ReplaySubject(Infinity, 25, scheduler);
+      let result = [];
+      scheduler.schedule(() => subject.next(1), 0);
+      scheduler.schedule(() => subject.next(2), 20);
+      scheduler.schedule(() => subject.subscribe(val => result = [...result, val]), 40);
+      scheduler.flush();
+      expect(result).deep.equals([2]);
+    });
+
+    it('should compute the time of a diagram', () => {
+      expect(scheduler.createTime('---|')).equals(30);
+    });
+  });
+});
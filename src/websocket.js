@@ -0,0 +1,231 @@
+/* global WebSocket */
+import {Observable} from './observable';
+import {Subject} from './subject';
+
+// a web socket subject opens its socket on the first subscription and closes it once the last one is gone:
+// subscribers share the frames it receives, next sends through it, and subscribing again opens a new socket
+
+const CONNECTING = 0;
+const OPEN = 1;
+
+const toConfig = (urlOrConfig) => Object.assign({
+  WebSocketCtor: typeof WebSocket !== 'undefined' ? WebSocket : null,
+  serializer: value => JSON.stringify(value),
+  deserializer: event => JSON.parse(event.data)
+}, typeof urlOrConfig === 'string' ? {url: urlOrConfig} : urlOrConfig);
+
+const notify = (observer, method, value) => {
+  if (observer && typeof observer[method] === 'function') {
+    observer[method](value);
+  }
+};
+
+/**
+ * A Subject over a WebSocket: subscribing opens the socket, the frames it receives are deserialized and emitted,
+ * next serializes and sends, queuing the messages until the socket is open.
+ * Subscribers complete when the socket closes cleanly, error when it fails or closes abnormally.
+ * complete closes the socket, error too, with the code and reason of the error when it has some.
+ *
+ * @see {@link https://www.learnrxjs.io/operators/creation/websocket.html } for examples.
+ *
+ * @param urlOrConfig {String|Object} the url, or a config accepting:
+ * url {String}
+ * protocol {String|Array} the subprotocols given to the socket
+ * binaryType {String} blob or arraybuffer
+ * WebSocketCtor {Function} the WebSocket constructor, the global one by default
+ * serializer {Function} turns a value given to next into what is sent, JSON.stringify by default
+ * deserializer {Function} turns a message event into what is emitted, parses its data as json by default
+ * openObserver {Object} receives the open event
+ * closingObserver {Object} receives undefined when the last unsubscribe is about to close the socket
+ * closeObserver {Object} receives the close event
+ */
+export class WebSocketSubject extends Subject {
+  constructor(urlOrConfig) {
+    super();
+    this.config = toConfig(urlOrConfig);
+    this.socket = null;
+    this._output = new Subject();
+    this._queue = [];
+  }
+
+  _subscribe(subscriber) {
+    const output = this._output;
+    const subscription = output.subscribe(
+      value => subscriber.next(value),
+      err => subscriber.error(err),
+      () => subscriber.complete()
+    );
+    if (!this.socket) {
+      this._connect();
+    }
+    return () => {
+      subscription.unsubscribe();
+      if (output === this._output && !output.observers.length) {
+        this._close(() => notify(this.config.closingObserver, 'next'));
+      }
+    };
+  }
+
+  _connect() {
+    const {url, protocol, binaryType, WebSocketCtor, deserializer, openObserver, closeObserver} = this.config;
+    const output = this._output;
+    let socket;
+    try {
+      if (!WebSocketCtor) {
+        throw new TypeError('no WebSocket constructor, give one as WebSocketCtor');
+      }
+      socket = protocol ? new WebSocketCtor(url, protocol) : new WebSocketCtor(url);
+    } catch (err) {
+      this._reset();
+      output.error(err);
+      return;
+    }
+    this.socket = socket;
+    if (binaryType) {
+      socket.binaryType = binaryType;
+    }
+    socket.onopen = event => {
+      notify(openObserver, 'next', event);
+      const queue = this._queue;
+      this._queue = [];
+      queue.forEach(value => this._send(value));
+    };
+    socket.onmessage = event => {
+      let value;
+      try {
+        value = deserializer(event);
+      } catch (err) {
+        this._close();
+        output.error(err);
+        return;
+      }
+      output.next(value);
+    };
+    // once the subject closed the socket itself, it already told its subscribers
+    socket.onerror = event => {
+      if (socket === this.socket) {
+        this._reset();
+        output.error(event);
+      }
+    };
+    socket.onclose = event => {
+      const current = socket === this.socket;
+      if (current) {
+        this._reset();
+      }
+      notify(closeObserver, 'next', event);
+      if (!current) {
+        return;
+      }
+      if (event.wasClean) {
+        output.complete();
+      } else {
+        output.error(event);
+      }
+    };
+  }
+
+  _send(value) {
+    let message;
+    try {
+      message = this.config.serializer(value);
+    } catch (err) {
+      const output = this._output;
+      this._close();
+      output.error(err);
+      return;
+    }
+    this.socket.send(message);
+  }
+
+  // closes the current socket, if any, and forgets it with the messages still queued for it,
+  // so the next subscription opens a new one
+  _close(beforeClose = () => {}, code, reason) {
+    const socket = this.socket;
+    this._reset();
+    if (socket && (socket.readyState === CONNECTING || socket.readyState === OPEN)) {
+      beforeClose();
+      if (code === undefined) {
+        socket.close();
+      } else {
+        socket.close(code, reason);
+      }
+    }
+  }
+
+  _reset() {
+    this.socket = null;
+    this._output = new Subject();
+    this._queue = [];
+  }
+
+  next(value) {
+    if (this.socket && this.socket.readyState === OPEN) {
+      this._send(value);
+    } else {
+      this._queue = [...this._queue, value];
+    }
+  }
+
+  error(err) {
+    const output = this._output;
+    if (err && err.code !== undefined) {
+      this._close(undefined, err.code, err.reason);
+    } else {
+      this._close();
+    }
+    output.error(err);
+  }
+
+  complete() {
+    const output = this._output;
+    this._close();
+    output.complete();
+  }
+
+  /**
+   * A logical channel over the socket: subscribing sends subMsg(), unsubscribing sends unsubMsg(),
+   * and only the messages messageFilter accepts are emitted. Channels share the socket of the subject.
+   *
+   * @param subMsg {Function} returns the message telling the server to open the channel
+   * @param unsubMsg {Function} returns the message telling the server to close the channel
+   * @param messageFilter {Function} (message) => Boolean, whether a message belongs to the channel
+   * @returns {Observable}
+   */
+  multiplex(subMsg, unsubMsg, messageFilter) {
+    return new Observable(observer => {
+      this.next(subMsg());
+      const subscription = this.subscribe(
+        value => {
+          let belongs;
+          try {
+            belongs = messageFilter(value);
+          } catch (err) {
+            observer.error(err);
+            return;
+          }
+          if (belongs) {
+            observer.next(value);
+          }
+        },
+        err => observer.error(err),
+        () => observer.complete()
+      );
+      return () => {
+        if (this.socket) {
+          this.next(unsubMsg());
+        }
+        subscription.unsubscribe();
+      };
+    });
+  }
+}
+
+/**
+ * Static creation operators : webSocket
+ * Creates a WebSocketSubject, nothing is opened until it is subscribed.
+ *
+ * @param urlOrConfig {String|Object} see WebSocketSubject
+ * @returns {WebSocketSubject}
+ */
+export const webSocket = (urlOrConfig) => new WebSocketSubject(urlOrConfig);
@@ -0,0 +1,262 @@
+import {expect} from 'chai';
+import sinon from 'sinon';
+import {Observable, Subject, WebSocketSubject} from './rxjs';
+
+// an in-process server: the sockets its WebSocket constructor creates connect to it,
+// and the tests play its side of each connection synchronously
+class LocalServer {
+  constructor() {
+    const server = this;
+    this.connections = [];
+    this.WebSocket = class {
+      constructor(url, protocol) {
+        this.url = url;
+        this.protocol = protocol;
+        this.readyState = 0;
+        this.received = [];
+        this.closedWith = null;
+        server.connections = [...server.connections, this];
+      }
+
+      send(data) {
+        if (this.readyState !== 1) {
+          throw new Error('not open');
+        }
+        this.received = [...this.received, data];
+      }
+
+      close(code, reason) {
+        this.closedWith = code === undefined ? [] : [code, reason];
+        this.readyState = 3;
+        this.onclose({type: 'close', code: code || 1000, reason, wasClean: true});
+      }
+
+      // the server side
+      accept() {
+        this.readyState = 1;
+        this.onopen({type: 'open'});
+      }
+
+      push(data) {
+        this.onmessage({type: 'message', data});
+      }
+
+      drop(wasClean = false) {
+        this.readyState = 3;
+        this.onclose({type: 'close', code: wasClean ? 1000 : 1006, wasClean});
+      }
+
+      fail() {
+        this.readyState = 3;
+        this.onerror({type: 'error'});
+        this.onclose({type: 'close', code: 1006, wasClean: false});
+      }
+    };
+  }
+
+  get last() {
+    return this.connections[this.connections.length - 1];
+  }
+}
+
+describe('Observable.webSocket', () => {
+  let server;
+  let socket$;
+
+  beforeEach(() => {
+    server = new LocalServer();
+    socket$ = Observable.webSocket({url: 'ws://local', WebSocketCtor: server.WebSocket});
+  });
+
+  it('should create a Subject opening its socket on the first subscription only', () => {
+    expect(socket$).instanceOf(WebSocketSubject);
+    expect(socket$).instanceOf(Subject);
+    expect(server.connections.length).equals(0);
+    socket$.subscribe();
+    socket$.subscribe();
+    expect(server.connections.map(({url, protocol}) => ({url, protocol}))).deep.equals([
+      {url: 'ws://local', protocol: undefined}
+    ]);
+  });
+
+  it('should give the url and the protocol to the socket', () => {
+    Observable.webSocket({url: 'ws://chat', protocol: ['v1'], WebSocketCtor: server.WebSocket}).subscribe();
+    expect([server.last.url, server.last.protocol]).deep.equals(['ws://chat', ['v1']]);
+  });
+
+  it('should emit the frames it receives, parsed as json, to every subscriber', () => {
+    let first = [];
+    let second = [];
+    socket$.subscribe(val => first = [...first, val]);
+    socket$.subscribe(val => second = [...second, val]);
+    server.last.accept();
+    server.last.push('{"a":1}');
+    server.last.push('2');
+    expect(first).deep.equals([{a: 1}, 2]);
+    expect(second).deep.equals([{a: 1}, 2]);
+  });
+
+  it('should queue the messages until the socket is open, then send them as json', () => {
+    socket$.next({a: 1});
+    socket$.subscribe();
+    socket$.next('b');
+    expect(server.last.received).deep.equals([]);
+    server.last.accept();
+    socket$.next([3]);
+    expect(server.last.received).deep.equals(['{"a":1}', '"b"', '[3]']);
+  });
+
+  it('should use the given serializer and deserializer', () => {
+    const text$ = Observable.webSocket({
+      url: 'ws://local',
+      WebSocketCtor: server.WebSocket,
+      serializer: val => `>${val}`,
+      deserializer: event => `<${event.data}`
+    });
+    let result = [];
+    text$.subscribe(val => result = [...result, val]);
+    server.last.accept();
+    text$.next('hello');
+    server.last.push('world');
+    expect(server.last.received).deep.equals(['>hello']);
+    expect(result).deep.equals(['<world']);
+  });
+
+  it('should error with a TypeError when there is no WebSocket constructor', () => {
+    const error = sinon.spy();
+    Observable.webSocket({url: 'ws://local', WebSocketCtor: null}).subscribe({error});
+    expect(error.args[0][0]).instanceOf(TypeError);
+  });
+
+  it('should error when the socket can not be created', () => {
+    const error = sinon.spy();
+    Observable.webSocket({url: 'not a url', WebSocketCtor: () => {
+      throw new SyntaxError('invalid url');
+    }}).subscribe({error});
+    expect(error.args[0][0]).instanceOf(SyntaxError);
+  });
+
+  describe('open and close :', () => {
+
+    it('should notify the openObserver, then the closingObserver and the closeObserver on the last unsubscribe', () => {
+      let calls = [];
+      const log = (name) => ({next: event => calls = [...calls, [name, event && event.type]]});
+      const socket$ = Observable.webSocket({
+        url: 'ws://local',
+        WebSocketCtor: server.WebSocket,
+        openObserver: log('open'),
+        closingObserver: log('closing'),
+        closeObserver: log('close')
+      });
+      const first = socket$.subscribe();
+      const second = socket$.subscribe();
+      server.last.accept();
+      first.unsubscribe();
+      expect(server.last.readyState).equals(1);
+      second.unsubscribe();
+      expect(server.last.closedWith).deep.equals([]);
+      expect(calls).deep.equals([['open', 'open'], ['closing', undefined], ['close', 'close']]);
+    });
+
+    it('should open a new socket when subscribed again once closed, without the messages queued for the old one', () => {
+      const subscription = socket$.subscribe();
+      socket$.next('lost');
+      subscription.unsubscribe();
+      socket$.next('sent');
+      socket$.subscribe();
+      expect(server.connections.length).equals(2);
+      server.last.accept();
+      expect(server.last.received).deep.equals(['"sent"']);
+      expect(server.connections[0].received).deep.equals([]);
+    });
+
+    it('should complete the subscribers when the server closes the socket cleanly', () => {
+      const complete = sinon.spy();
+      socket$.subscribe({complete});
+      server.last.accept();
+      server.last.drop(true);
+      expect(complete.calledOnce).equals(true);
+      socket$.subscribe();
+      expect(server.connections.length).equals(2);
+    });
+
+    it('should error the subscribers when the socket fails or closes abnormally', () => {
+      const error = sinon.spy();
+      socket$.subscribe({error});
+      server.last.accept();
+      server.last.fail();
+      socket$.subscribe({error});
+      server.last.drop();
+      expect(error.args.map(([event]) => event.type)).deep.equals(['error', 'close']);
+    });
+
+    it('should error the subscribers and close the socket when the deserializer throws', () => {
+      const error = sinon.spy();
+      socket$.subscribe({error});
+      server.last.accept();
+      server.last.push('{not json');
+      expect(error.args[0][0]).instanceOf(SyntaxError);
+      expect(server.last.readyState).equals(3);
+    });
+
+    it('should close the socket on complete, and on error with its code and reason', () => {
+      const complete = sinon.spy();
+      const error = sinon.spy();
+      socket$.subscribe({complete});
+      server.last.accept();
+      socket$.complete();
+      expect(server.last.closedWith).deep.equals([]);
+      expect(complete.calledOnce).equals(true);
+      socket$.subscribe({error});
+      server.last.accept();
+      socket$.error({code: 4000, reason: 'bye'});
+      expect(server.last.closedWith).deep.equals([4000, 'bye']);
+      expect(error.args).deep.equals([[{code: 4000, reason: 'bye'}]]);
+    });
+  });
+
+  describe('multiplex :', () => {
+
+    const channel = (socket$, name) => socket$.multiplex(
+      () => ({subscribe: name}),
+      () => ({unsubscribe: name}),
+      message => message.channel === name
+    );
+
+    it('should open logical channels over one socket, each emitting its own messages', () => {
+      let news = [];
+      let chat = [];
+      const newsSubscription = channel(socket$, 'news').subscribe(val => news = [...news, val.data]);
+      channel(socket$, 'chat').subscribe(val => chat = [...chat, val.data]);
+      server.last.accept();
+      server.last.push('{"channel":"news","data":1}');
+      server.last.push('{"channel":"chat","data":2}');
+      newsSubscription.unsubscribe();
+      server.last.push('{"channel":"news","data":3}');
+      expect(server.connections.length).equals(1);
+      expect(news).deep.equals([1]);
+      expect(chat).deep.equals([2]);
+      expect(server.last.received.map(message => JSON.parse(message))).deep.equals([
+        {subscribe: 'news'}, {subscribe: 'chat'}, {unsubscribe: 'news'}
+      ]);
+    });
+
+    it('should close the socket once the last channel unsubscribed', () => {
+      const subscription = channel(socket$, 'news').subscribe();
+      server.last.accept();
+      subscription.unsubscribe();
+      expect(server.last.received).deep.equals(['{"subscribe":"news"}', '{"unsubscribe":"news"}']);
+      expect(server.last.readyState).equals(3);
+    });
+
+    it('should error the channel when the filter throws', () => {
+      const error = sinon.spy();
+      socket$.multiplex(() => 'sub', () => 'unsub', () => {
+        throw 'boom';
+      }).subscribe({error});
+      server.last.accept();
+      server.last.push('1');
+      expect(error.args).deep.equals([['boom']]);
+    });
+  });
+});
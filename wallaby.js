@@ -16,5 +16,9 @@ module.exports = function (wallaby) {
     compilers: {
       '**/*.js': wallaby.compilers.babel(),
     },
+
+    setup: function () {
+      require('babel-polyfill');
+    },
   };
 };
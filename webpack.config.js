@@ -3,7 +3,19 @@ const path = require('path');
 module.exports = {
   entry: {
     '00_intro': './src/intro.spec.js',
-    '01_rxjs': './src/rxjs.spec.js'
+    '01_rxjs': './src/rxjs.spec.js',
+    '02_subject': './src/subject.spec.js',
+    '03_testing': './src/testing.spec.js',
+    '04_subscription': './src/subscription.spec.js',
+    '05_operators': './src/operators.spec.js',
+    '06_debug': './src/debug.spec.js',
+    '07_backpressure': './src/backpressure.spec.js',
+    '08_config': './src/config.spec.js',
+    '09_conformance': './src/conformance.spec.js',
+    '10_consumers': './src/consumers.spec.js',
+    '11_websocket': './src/websocket.spec.js',
+    '12_store': './src/store.spec.js',
+    '13_lift': './src/lift.spec.js'
   },
   output: {
     filename: '[name].spec.js',
@@ -15,6 +27,11 @@ module.exports = {
       { test: /sinon\/pkg\/sinon\.js/, loader: 'imports?define=>false,require=>false' }
     ]
   },
+  // ajax sends through XMLHttpRequest in the browser, node's http and https modules are left out
+  node: {
+    http: 'empty',
+    https: 'empty'
+  },
   resolve : {
     alias: {
       sinon: 'sinon/pkg/sinon',